@@ -1,60 +1,163 @@
 import './App.css';
 import SigmaNetwork from './SigmaNetwork.jsx';
-import { useState, useEffect, useRef } from 'react';
-import { downloadAsPNG } from '@sigma/export-image';
+import DatasetDialog from './DatasetDialog.jsx';
+import CommunityPanel from './CommunityPanel.jsx';
+import MetricsPanel from './MetricsPanel.jsx';
+import FilterPanel from './FilterPanel.jsx';
+import LayoutPanel from './LayoutPanel.jsx';
+import MapSourcePanel from './MapSourcePanel.jsx';
+import PlasmidMap from './PlasmidMap.jsx';
+import MapComparison from './MapComparison.jsx';
+import EdgeWeightFilter from './EdgeWeightFilter.jsx';
+import EdgeStylePanel from './EdgeStylePanel.jsx';
+import DataExportPanel from './DataExportPanel.jsx';
+import ImageExportPanel from './ImageExportPanel.jsx';
+import QueryResultsPanel from './QueryResultsPanel.jsx';
+import SearchResultsPanel from './SearchResultsPanel.jsx';
+import PathPanel from './PathPanel.jsx';
+import { DEFAULT_EDGE_STYLE } from './edgeStyle.js';
+import { writeGraphML } from './graphmlIO.js';
+import { downloadFile } from './download.js';
+import { downloadTables } from './tableExport.js';
+import { renderNetworkSVG, svgToPngBlob } from './imageExport.js';
+import { encodeViewState, decodeViewState } from './viewState.js';
+import { createSession, parseSession, checkSessionDataset } from './session.js';
+import { loadMapSource, saveMapSource, resolveMapUrl, mapFileName, fetchMapJson } from './mapSource.js';
+import { parseMapJson, buildAnnotationIndex, plasmidsWithAnnotation, MAX_COMPARED_MAPS } from './plasmidMap.js';
+import { QueryError, looksLikeQuery, parseQuery, compileQuery, getCompletions } from './queryLanguage.js';
+import { COLUMN_TYPES, inferColumnType, isScalarType } from './columnTypes.js';
+import { summarizeFacets, sanitizeFacets, isActiveFacet, isRangeFacet, createFacet } from './facetFilters.js';
+import { buttonStyle } from './ui.js';
+import { LOADING_STATES, LoadCancelledError, buildNetwork, getMetadataColumns } from './networkBuilder.js';
+import { useState, useEffect, useRef, useMemo, useCallback } from 'react';
 
-const LOADING_STATES = [
-  'Loading node data...',
-  'Loading edge data...',
-  'Creating network...',
-  'Coloring network...'
-];
+// Path mode result for { source, target, weighted }: the path from SigmaNetwork's findPath, or an error
+const solvePath = ({ source, target, weighted }, nodeIds, network, edgeWeightRange) => {
+  const missing = [source, target].find(id => !nodeIds.includes(id));
+  if (missing) return { source, target, weighted, error: `Unknown node "${missing}".` };
+  const path = network?.findPath(source, target, { weighted });
+  return path
+    ? { source, target, weighted, ...path }
+    : { source, target, weighted, error: `No path between ${source} and ${target}${edgeWeightRange ? ' within the edge weight filter' : ''}.` };
+};
+
+// Datasets without coordinates get this many ForceAtlas2 iterations as soon as they load
+const AUTO_LAYOUT_ITERATIONS = 500;
 
 function App() {
   // Ref to capture Sigma instance for export
   const sigmaRef = useRef(null);
+  // Imperative handle into SigmaNetwork for data exports
+  const networkRef = useRef(null);
 
-  const [edgeRows, setEdgeRows] = useState([]);
+  // Prebuilt network from dataWorker.js (serialized graph + typed-array edge list)
+  const [network, setNetwork] = useState(null);
   const [metadataRows, setMetadataRows] = useState([]);
   const [colorBy, setColorBy] = useState(''); // Start empty, auto-detect from CSV
+  const [sizeBy, setSizeBy] = useState(''); // Numeric column mapped to node size ('' = fixed size)
+  // Column types picked next to "Color by", overriding the inferred ones: { column: 'numeric' | ... }
+  const [columnTypeOverrides, setColumnTypeOverrides] = useState({});
   const [csvColumns, setCsvColumns] = useState([]); // Start empty
+  // Columns computed in the browser (e.g. Louvain communities), reset with each dataset
+  const [derivedColumns, setDerivedColumns] = useState([]);
+  // Values of the columns computed in the browser, including saved layout coordinates ({ column: { node: value } })
+  const [computedColumns, setComputedColumns] = useState({});
+  const [showCommunityPanel, setShowCommunityPanel] = useState(false);
+  const [showMetricsPanel, setShowMetricsPanel] = useState(false);
+  // Faceted filters ({ column, values } or { column, min, max }, see facetFilters.js), kept across Color by changes
+  const [facetFilters, setFacetFilters] = useState([]);
+  const [showFilterPanel, setShowFilterPanel] = useState(false);
+  // ForceAtlas2 settings (graphology's inferred defaults) and the layout worker's progress
+  const [showLayoutPanel, setShowLayoutPanel] = useState(false);
+  const [layoutSettings, setLayoutSettings] = useState({ gravity: 0.05, scalingRatio: 10, pinExisting: true });
+  const [layoutStatus, setLayoutStatus] = useState({ running: false, iterations: 0 });
+  // Edge weight filter: [min, max] range (null = all edges) and whether to hide nodes left without edges
+  const [showEdgeFilter, setShowEdgeFilter] = useState(false);
+  const [edgeWeightRange, setEdgeWeightRange] = useState(null);
+  const [hideIsolatedNodes, setHideIsolatedNodes] = useState(false);
+  const [showEdgeStyle, setShowEdgeStyle] = useState(false);
+  const [edgeStyle, setEdgeStyle] = useState(DEFAULT_EDGE_STYLE);
+  const [showDataExport, setShowDataExport] = useState(false);
+  const [showImageExport, setShowImageExport] = useState(false);
   const [searchId, setSearchId] = useState('');
   const [zoomToId, setZoomToId] = useState('');
   const [nodeIdOptions, setNodeIdOptions] = useState([]);
-  const [filteredOptions, setFilteredOptions] = useState([]);
+  // Ranked fuzzy matches from searchWorker.js for the search text: { query, results: [{ node, field, value, score }] }
+  const [searchResults, setSearchResults] = useState(null);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [activeSuggestion, setActiveSuggestion] = useState(-1);
+  const [showSearchResults, setShowSearchResults] = useState(false);
+  const searchWorkerRef = useRef(null);
+  const searchRequestRef = useRef(0);
+  // Metadata query typed into the search box: { matches } or { error }, null for a plain id search
+  const [queryResult, setQueryResult] = useState(null);
+  const [queryFilter, setQueryFilter] = useState(false);
+  const [queryCompletions, setQueryCompletions] = useState(null);
+  const searchInputRef = useRef(null);
   const [highlightedNode, setHighlightedNode] = useState();
+  // Multi-selection from shift-click, lasso and the legend
+  const [selectedNodes, setSelectedNodes] = useState(() => new Set());
   const [hoveredNode, setHoveredNode] = useState();
   const [edgeMode, setEdgeMode] = useState('none'); // 'none', 'all', 'hovered'
   const [isLoading, setIsLoading] = useState(true); // Start with loading true
   const [loadingProgress, setLoadingProgress] = useState(0);
   const [loadingStatus, setLoadingStatus] = useState('Initializing...');
-  const [iframeSrc, setIframeSrc] = useState('');
-  const [showIframe, setShowIframe] = useState(false);
+  // Parsed map of the highlighted plasmid: { id, map } (see plasmidMap.js)
+  const [mapData, setMapData] = useState(null);
+  const [showGenomeMap, setShowGenomeMap] = useState(false);
+  // Feature or category hovered in the map: { name, category }
+  const [mapAnnotation, setMapAnnotation] = useState(null);
+  // Compare mode: { edges, entries: [{ id, map } or { id, error }] }, entries null while loading
+  const [comparison, setComparison] = useState(null);
+  const comparisonRequestRef = useRef(0);
+  // Why the map for the highlighted node couldn't be shown (missing or unreadable JSON)
+  const [mapError, setMapError] = useState('');
+  // Genome map JSON source for the current dataset, and an optional local folder: { name, files: Map<file name, File> }
+  const [mapSource, setMapSource] = useState(() => loadMapSource(''));
+  const [mapFolder, setMapFolder] = useState(null);
+  const [showMapSource, setShowMapSource] = useState(false);
   const [enableDynamicEdges, setEnableDynamicEdges] = useState(true);
+  // k-hop neighborhood shown around the clicked node (0 = off)
+  const [neighborhoodDepth, setNeighborhoodDepth] = useState(0);
+  // Path mode: { source, target, weighted } plus either the path from findPath() or an error
+  const [showPathPanel, setShowPathPanel] = useState(false);
+  const [pathResult, setPathResult] = useState(null);
   const [showLabels, setShowLabels] = useState(true);
   // Toggle PTU cluster labels overlay
   const [showPTUs, setShowPTUs] = useState(false);
-  // Shared button style (match SigmaNetwork buttons)
-  const buttonStyle = {
-    padding: '3px 12px',
-    background: '#fff',
-    color: '#000',
-    border: '1px solid #ccc',
-    borderRadius: 14,
-    cursor: 'pointer',
-    fontSize: '11px'
-  };
   const [loadingStage, setLoadingStage] = useState(0); // 0: node, 1: edge, 2: create, 3: color
   const [isReady, setIsReady] = useState(false);
   const [isNetworkReady, setIsNetworkReady] = useState(false); // New state for when network is fully colored
+  const [loadError, setLoadError] = useState('');
+  // "Open dataset" dialog and files dropped anywhere on the page
+  const [showDatasetDialog, setShowDatasetDialog] = useState(false);
+  const [droppedFiles, setDroppedFiles] = useState(null);
   const debounceRef = useRef();
+  // Data worker and the id of the load it should currently be working on
+  const workerRef = useRef(null);
+  const requestIdRef = useRef(0);
+  const pendingTaskRef = useRef(null);
+  // View from the URL hash, restored once the first network is ready
+  const initialViewRef = useRef(decodeViewState(window.location.hash));
+  // Camera/legend part of a restored view, handed to SigmaNetwork after App state has been applied
+  const [pendingNetworkView, setPendingNetworkView] = useState(null);
+  const hashSyncEnabledRef = useRef(false);
+  const hashTimerRef = useRef();
+  const [linkCopied, setLinkCopied] = useState(false);
+  // Name of the loaded dataset, recorded in saved sessions
+  const [datasetName, setDatasetName] = useState('');
+  // Result of the last Load Session: { error } or { warnings }
+  const [sessionNotice, setSessionNotice] = useState(null);
 
   console.log('[App] Render - isLoading:', isLoading, 'isReady:', isReady, 'isNetworkReady:', isNetworkReady, 'loadingStatus:', loadingStatus);
 
   // Parse CSV headers whenever metadataCsvString changes
   useEffect(() => {
+    setDerivedColumns([]);
+    setColumnTypeOverrides({});
+    setFacetFilters([]);
     if (metadataRows.length > 0) {
-      const fields = Object.keys(metadataRows[0]).filter(f => f !== 'id');
+      const fields = getMetadataColumns(metadataRows);
       setCsvColumns(fields);
       // Only set colorBy if not already set and fields are available
       if ((!colorBy || !fields.includes(colorBy)) && fields.length > 0) {
@@ -70,28 +173,217 @@ function App() {
     }
   }, [metadataRows]);
 
-  // Extract node ids from the current data (GraphML or TSV edge list)
+  const colorByOptions = useMemo(
+    () => [...csvColumns, ...derivedColumns.filter(col => !csvColumns.includes(col))],
+    [csvColumns, derivedColumns]
+  );
+  const hasEdgeWeights = Boolean(network?.hasWeights);
+  const hasEdges = network?.sources.length > 0;
+
+  // Node ids of the current network for search autocomplete; weight filters don't carry over
   useEffect(() => {
-    const nodeSet = new Set();
-    for (const row of edgeRows) {
-      if (row.source) nodeSet.add(row.source);
-      if (row.target) nodeSet.add(row.target);
-    }
-    setNodeIdOptions(Array.from(nodeSet));
-  }, [edgeRows]);
+    setNodeIdOptions(network ? network.nodeIds : []);
+    setEdgeWeightRange(null);
+    setSelectedNodes(new Set());
+    setPathResult(null);
+    setLayoutStatus({ running: false, iterations: 0 });
+    setComparison(null);
+    setComputedColumns({});
+  }, [network]);
+
+  // Rows the search box queries: metadata plus columns computed in the browser
+  const queryRows = useMemo(() => {
+    const computed = Object.entries(computedColumns);
+    if (!computed.length) return metadataRows;
+    return metadataRows.map(row => {
+      const out = { ...row };
+      computed.forEach(([column, values]) => { out[column] = values[String(row.id)]; });
+      return out;
+    });
+  }, [metadataRows, computedColumns]);
+
+  // Rows of nodes that are in the network; metadata rows without edges have no node to zoom to
+  const nodeRows = useMemo(() => {
+    const known = new Set(nodeIdOptions);
+    return queryRows.filter(row => known.has(String(row.id)));
+  }, [queryRows, nodeIdOptions]);
+
+  // Known values of categorical columns for query autocomplete (numeric and near-unique columns are skipped)
+  const queryValues = useMemo(() => {
+    const values = {};
+    colorByOptions.forEach(column => {
+      const distinct = new Set();
+      for (const row of queryRows) {
+        const v = row[column];
+        if (v == null || v === '') continue;
+        distinct.add(String(v));
+        if (distinct.size > 200) return;
+      }
+      if ([...distinct].every(v => !isNaN(Number(v)))) return;
+      values[column] = [...distinct].sort();
+    });
+    return values;
+  }, [queryRows, colorByOptions]);
+
+  // Full-text search index over every text column, built and queried in a worker
+  useEffect(() => {
+    const worker = new Worker(new URL('./searchWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (event) => {
+      const { type, requestId, query, results, error } = event.data;
+      if (type === 'SEARCH_RESULTS' && requestId === searchRequestRef.current) {
+        setSearchResults({ query, results });
+      } else if (type === 'SEARCH_ERROR') {
+        console.error('[App] Search failed:', error);
+      }
+    };
+    searchWorkerRef.current = worker;
+    return () => worker.terminate();
+  }, []);
+
+  useEffect(() => {
+    searchWorkerRef.current?.postMessage({ type: 'BUILD_INDEX', rows: nodeRows });
+  }, [nodeRows]);
+
+  // Type of every column as inferred from its values (missing values ignored), see columnTypes.js
+  const inferredColumnTypes = useMemo(() => {
+    const types = {};
+    colorByOptions.forEach(column => {
+      types[column] = inferColumnType(queryRows.map(row => row[column]), column);
+    });
+    return types;
+  }, [queryRows, colorByOptions]);
+  const columnType = useCallback(
+    (column) => columnTypeOverrides[column] ?? inferredColumnTypes[column] ?? 'categorical',
+    [columnTypeOverrides, inferredColumnTypes]
+  );
+
+  const setColumnType = (column, type) => {
+    setColumnTypeOverrides(prev => {
+      const next = { ...prev };
+      if (type) next[column] = type;
+      else delete next[column];
+      return next;
+    });
+    // A facet's bounds or ticked values mean nothing under another type, so it starts over
+    setFacetFilters(prev => prev.map(facet => (facet.column === column
+      ? createFacet(column, type || inferredColumnTypes[column] || 'categorical')
+      : facet)));
+  };
+
+  // Numeric columns (inferred or chosen), offered in "Size by"
+  const numericColumns = useMemo(
+    () => colorByOptions.filter(column => (columnTypeOverrides[column] ?? inferredColumnTypes[column]) === 'numeric'),
+    [colorByOptions, inferredColumnTypes, columnTypeOverrides]
+  );
+  const activeSizeBy = numericColumns.includes(sizeBy) ? sizeBy : '';
+
+  // Facets on the current columns, started over when the column's type no longer fits (a range
+  // facet on a column now read as categorical). Facets on columns that aren't there yet, such as
+  // restored ones on computed columns, stay stored until the column appears.
+  const shownFacets = useMemo(
+    () => facetFilters
+      .filter(facet => colorByOptions.includes(facet.column))
+      .map(facet => {
+        const type = columnType(facet.column);
+        return isRangeFacet(facet) === isScalarType(type) ? facet : createFacet(facet.column, type);
+      }),
+    [facetFilters, colorByOptions, columnType]
+  );
+  // The filter panel edits the shown facets; the stored ones it doesn't show are kept
+  const updateFacets = (facets) => setFacetFilters(prev => [
+    ...prev.filter(facet => !colorByOptions.includes(facet.column)),
+    ...facets,
+  ]);
+
+  // Nodes passing every facet filter, and the live counts the filter panel shows
+  const facetSummary = useMemo(
+    () => summarizeFacets(queryRows, shownFacets, columnType),
+    [queryRows, shownFacets, columnType]
+  );
+  const activeFacetCount = shownFacets.filter(isActiveFacet).length;
 
-  // Debounced filter for autocomplete
+  // Debounced search for autocomplete; text that looks like a query is evaluated over the metadata instead
   useEffect(() => {
     if (debounceRef.current) clearTimeout(debounceRef.current);
     debounceRef.current = setTimeout(() => {
-      if (!searchId) {
-        setFilteredOptions([]);
+      if (looksLikeQuery(searchId)) {
+        searchRequestRef.current += 1;
+        setSearchResults(null);
+        try {
+          const predicate = compileQuery(parseQuery(searchId, colorByOptions));
+          setQueryResult({ matches: new Set(nodeRows.filter(predicate).map(row => String(row.id))) });
+        } catch (err) {
+          if (!(err instanceof QueryError)) throw err;
+          setQueryResult({ error: err });
+        }
+        return;
+      }
+      setQueryResult(null);
+      searchRequestRef.current += 1;
+      if (!searchId.trim()) {
+        setSearchResults(null);
       } else {
-        setFilteredOptions(nodeIdOptions.filter(id => id.toLowerCase().includes(searchId.toLowerCase())).slice(0, 10));
+        searchWorkerRef.current?.postMessage({ type: 'SEARCH', requestId: searchRequestRef.current, query: searchId });
       }
     }, 200);
     return () => clearTimeout(debounceRef.current);
-  }, [searchId, nodeIdOptions]);
+  }, [searchId, nodeRows, colorByOptions]);
+
+  // Column names (and, inside a query, operators and categorical values) for the text before the cursor
+  const updateCompletions = (text, cursor) => {
+    if (!text.trim()) {
+      setQueryCompletions(null);
+      return;
+    }
+    const completions = getCompletions(text, cursor, { columns: colorByOptions, values: queryValues });
+    // A single word may still be a node id: only offer column names for it
+    if (!looksLikeQuery(text) && completions.kind !== 'column') completions.items = [];
+    setQueryCompletions(completions.items.length ? completions : null);
+  };
+
+  const applyCompletion = (item) => {
+    const { from, to } = queryCompletions;
+    const next = `${searchId.slice(0, from)}${item.insert} ${searchId.slice(to).trimStart()}`;
+    const cursor = from + item.insert.length + 1;
+    setSearchId(next);
+    updateCompletions(next, cursor);
+    requestAnimationFrame(() => searchInputRef.current?.setSelectionRange(cursor, cursor));
+  };
+
+  const queryMatches = queryResult?.matches ?? null;
+
+  const findPath = (request) => {
+    setPathResult(solvePath(request, nodeIdOptions, networkRef.current, edgeWeightRange));
+  };
+
+  // A shown path follows the edge weight filter
+  useEffect(() => {
+    setPathResult(prev => (prev ? solvePath(prev, nodeIdOptions, networkRef.current, edgeWeightRange) : prev));
+  }, [edgeWeightRange, nodeIdOptions]);
+
+  const zoomToNode = (node) => {
+    setZoomToId(node);
+    setHighlightedNode(node);
+  };
+
+  const chooseSearchResult = (result) => {
+    setSearchId(result.node);
+    setShowSuggestions(false);
+    setQueryCompletions(null);
+    zoomToNode(result.node);
+  };
+
+  // Dropdown entries in display order, navigable with the arrow keys
+  const suggestions = [
+    ...(queryCompletions?.items ?? []).map(item => ({ key: `${queryCompletions.kind}:${item.label}`, completion: item })),
+    ...(showSuggestions && searchResults && !looksLikeQuery(searchId) ? searchResults.results.slice(0, 10) : [])
+      .map(result => ({ key: `node:${result.node}`, result })),
+  ];
+  const chooseSuggestion = (suggestion) => {
+    if (suggestion.completion) applyCompletion(suggestion.completion);
+    else chooseSearchResult(suggestion.result);
+    setActiveSuggestion(-1);
+  };
   
   // Effect to log loading state changes
   useEffect(() => {
@@ -106,222 +398,535 @@ function App() {
       console.log('[App] Loading status:', loadingStatus);
     }
   }, [loadingStatus]);
-  useEffect(() => {
-    let mounted = true;
-    let worker = null;
+  // Apply a finished load: metadata rows plus the prebuilt network payload
+  const applyLoadedNetwork = (rows, builtNetwork, name) => {
+    console.log('[App] Data loading complete!');
+    setLoadingProgress(100);
+    setMetadataRows(rows);
+    setNetwork(builtNetwork);
+    setDatasetName(name);
+    setMapSource(loadMapSource(name));
+    setIsLoading(false);
+    setIsReady(true);
+    setIsNetworkReady(false); // Reset network ready state
+  };
 
-    // Fallback for main thread loading - more reliable
-    const loadDataMainThread = async () => {
-      console.log('[App] Starting main thread data loading...');
-      
-      try {
+  const failLoad = (message) => {
+    setLoadingStatus('Error loading data: ' + message);
+    setLoadError(message);
+    setIsLoading(false);
+  };
+
+  // Main-thread fallback, used only when a worker cannot be created or crashes
+  const loadDataMainThread = async (task) => {
+    console.log('[App] Starting main thread data loading...');
+    const requestId = task.requestId;
+    const isCancelled = () => requestIdRef.current !== requestId;
+    try {
+      let rows = task.metadataRows;
+      let edges = task.edgeRows;
+      if (task.type === 'LOAD_DATA') {
         const { parquetReadObjects } = await import('hyparquet');
-        
-        setIsLoading(true);
-        setIsReady(false);
         setLoadingStage(0);
-        setLoadingProgress(0);
         setLoadingStatus(LOADING_STATES[0]);
-        
-        console.log('[App] Loading node data...');
-        // 1. Load node data
-        const url = import.meta.env.BASE_URL + 'data/scatter_small.parquet';
-        console.log('[App] Fetching from:', url);
-        
-        const response = await fetch(url);
+        const response = await fetch(import.meta.env.BASE_URL + 'data/scatter_small.parquet');
         if (!response.ok) {
           throw new Error(`Failed to fetch node data: ${response.status} ${response.statusText}`);
         }
-        
-        const buffer = await response.arrayBuffer();
-        const rows = await parquetReadObjects({ file: buffer });
-        console.log('[App] Node data loaded:', rows.length, 'rows');
-        
-        if (!mounted) return;
-        
-        setMetadataRows(rows);
+        rows = await parquetReadObjects({ file: await response.arrayBuffer() });
+        if (isCancelled()) return;
         setLoadingProgress(25);
         setLoadingStage(1);
         setLoadingStatus(LOADING_STATES[1]);
-        
-        // Small delay to show progress
-        await new Promise(res => setTimeout(res, 300));
-        
-        console.log('[App] Loading edge data...');
-        // 2. Load edge data
-        const edgeUrl = import.meta.env.BASE_URL + 'data/mock_edges.parquet';
-        console.log('[App] Fetching edges from:', edgeUrl);
-        
-        const edgeResp = await fetch(edgeUrl);
+        const edgeResp = await fetch(import.meta.env.BASE_URL + 'data/mock_edges.parquet');
         if (!edgeResp.ok) {
           throw new Error(`Failed to fetch edge data: ${edgeResp.status} ${edgeResp.statusText}`);
         }
-        
-        const edgeBuf = await edgeResp.arrayBuffer();
-        const edgeRowsArr = await parquetReadObjects({ file: edgeBuf });
-        console.log('[App] Edge data loaded:', edgeRowsArr.length, 'rows');
-        
-        if (!mounted) return;
-        
-        setEdgeRows(edgeRowsArr);
-        setLoadingProgress(50);
-        setLoadingStage(2);
-        setLoadingStatus(LOADING_STATES[2]);
-        
-        // 3. Simulate network creation
-        await new Promise(res => setTimeout(res, 400));
-        setLoadingProgress(75);
-        setLoadingStage(3);
-        setLoadingStatus(LOADING_STATES[3]);
-        
-        // 4. Simulate coloring
-        await new Promise(res => setTimeout(res, 400));
-        setLoadingProgress(100);
-        
-        console.log('[App] Data loading complete!');
-        setTimeout(() => {
-          if (mounted) {
-            setIsLoading(false);
-            setIsReady(true);
-            setIsNetworkReady(false); // Reset network ready state
-          }
-        }, 400);
-        
-      } catch (error) {
-        console.error('Main thread loading error:', error);
-        setLoadingStatus('Error loading data: ' + error.message);
-        setIsLoading(false);
+        edges = await parquetReadObjects({ file: await edgeResp.arrayBuffer() });
+        if (isCancelled()) return;
       }
-    };
+      setLoadingProgress(50);
+      setLoadingStage(2);
+      setLoadingStatus(LOADING_STATES[2]);
+      const builtNetwork = await buildNetwork(rows, edges, {
+        colorBy: task.colorBy,
+        isCancelled,
+        onProgress: fraction => setLoadingProgress(Math.round(50 + 50 * fraction)),
+      });
+      if (isCancelled()) return;
+      applyLoadedNetwork(rows, builtNetwork, task.name);
+    } catch (error) {
+      if (error instanceof LoadCancelledError || isCancelled()) return;
+      console.error('Main thread loading error:', error);
+      failLoad(error.message);
+    }
+  };
 
-    const loadDataWithWorker = async () => {
-      // Check for Web Worker support
-      if (typeof Worker === 'undefined') {
-        console.warn('Web Workers not supported, falling back to main thread loading');
-        return loadDataMainThread();
-      }
+  // Start a load in the data worker (or on the main thread if there is none).
+  // task.type is 'LOAD_DATA' for the bundled parquet pair or 'BUILD_NETWORK' for user rows.
+  const startLoad = (task) => {
+    requestIdRef.current += 1;
+    const request = { name: 'Example plasmid network', ...task, requestId: requestIdRef.current, colorBy };
+    pendingTaskRef.current = request;
+    setIsLoading(true);
+    setIsNetworkReady(false);
+    setLoadError('');
+    setLoadingStage(0);
+    setLoadingProgress(0);
+    setLoadingStatus(task.type === 'LOAD_DATA' ? LOADING_STATES[0] : LOADING_STATES[2]);
+    if (workerRef.current) {
+      console.log('[App] Sending work to worker...');
+      workerRef.current.postMessage(request);
+    } else {
+      loadDataMainThread(request);
+    }
+  };
+
+  // Latest load helpers for the mount-only effect below, since startLoad reads the current colorBy
+  const loadersRef = useRef(null);
+  loadersRef.current = { startLoad, loadDataMainThread };
+
+  // Stop the running load; a previously loaded network stays on screen
+  const cancelLoad = () => {
+    const requestId = requestIdRef.current;
+    workerRef.current?.postMessage({ type: 'CANCEL', requestId });
+    requestIdRef.current += 1; // Ignore anything still in flight for the cancelled request
+    pendingTaskRef.current = null;
+    setIsLoading(false);
+    if (network) {
+      setIsNetworkReady(true);
+    } else {
+      setLoadingStatus('Loading cancelled');
+      setLoadError('Loading cancelled');
+    }
+  };
 
+  useEffect(() => {
+    let mounted = true;
+
+    // Check for Web Worker support
+    if (typeof Worker === 'undefined') {
+      console.warn('Web Workers not supported, falling back to main thread loading');
+    } else {
       try {
         console.log('[App] Attempting to create Web Worker...');
-        // Create worker
-        worker = new Worker(new URL('./dataWorker.js', import.meta.url), { type: 'module' });
-        
+        const worker = new Worker(new URL('./dataWorker.js', import.meta.url), { type: 'module' });
+
         // Set up worker message handling
         worker.onmessage = (event) => {
-          const { type, stage, progress, status, data, error } = event.data;
-          
-          if (!mounted) return;
-          
+          const { type, requestId, stage, progress, status, metadataRows: rows, network: builtNetwork, error } = event.data;
+
+          // Drop messages from cancelled or superseded requests
+          if (!mounted || requestId !== requestIdRef.current) return;
+
           switch (type) {
             case 'PROGRESS_UPDATE':
               setLoadingStage(stage);
               setLoadingProgress(progress);
               setLoadingStatus(status);
               break;
-              
-            case 'NODE_DATA_LOADED':
-              setMetadataRows(data);
-              break;
-              
-            case 'EDGE_DATA_LOADED':
-              setEdgeRows(data);
-              break;
-              
+
             case 'LOADING_COMPLETE':
-              setTimeout(() => {
-                if (mounted) {
-                  setIsLoading(false);
-                  setIsReady(true);
-                  setIsNetworkReady(false); // Reset network ready state
-                }
-              }, 500); // Small delay to show completion
+              applyLoadedNetwork(rows, builtNetwork, pendingTaskRef.current?.name);
+              pendingTaskRef.current = null;
+              break;
+
+            case 'LOADING_CANCELLED':
+              pendingTaskRef.current = null;
               break;
-              
+
             case 'LOADING_ERROR':
               console.error('Worker loading error:', error);
-              setLoadingStatus('Worker failed, falling back to main thread...');
-              // Fallback to main thread
-              setTimeout(() => loadDataMainThread(), 1000);
+              pendingTaskRef.current = null;
+              failLoad(error);
               break;
           }
         };
-        
+
         worker.onerror = (error) => {
           console.error('Worker error:', error);
-          if (mounted) {
+          worker.terminate();
+          workerRef.current = null;
+          if (mounted && pendingTaskRef.current) {
             console.log('[App] Worker failed, falling back to main thread');
-            worker.terminate();
-            worker = null;
-            // Fallback to main thread
-            setTimeout(() => loadDataMainThread(), 1000);
+            setLoadingStatus('Worker failed, falling back to main thread...');
+            loadersRef.current.loadDataMainThread(pendingTaskRef.current);
           }
         };
-        
-        // Start loading
-        setIsLoading(true);
-        setIsReady(false);
-        setLoadingStage(0);
-        setLoadingProgress(0);
-        setLoadingStatus(LOADING_STATES[0]);
-        
-        console.log('[App] Sending work to worker...');
-        // Send work to worker
-        worker.postMessage({
-          type: 'LOAD_DATA',
-          baseUrl: import.meta.env.BASE_URL
-        });
-        
+
+        workerRef.current = worker;
       } catch (error) {
         console.error('Failed to create worker:', error);
-        loadDataMainThread();
+        workerRef.current = null;
       }
-    };
+    }
 
-    // Start with main thread loading for reliability
     console.log('[App] Starting data loading process...');
-    loadDataMainThread();
+    loadersRef.current.startLoad({ type: 'LOAD_DATA', baseUrl: import.meta.env.BASE_URL });
 
     // Cleanup
     return () => {
       mounted = false;
-      if (worker) {
-        worker.terminate();
-      }
+      requestIdRef.current += 1;
+      workerRef.current?.terminate();
+      workerRef.current = null;
     };
   }, []); // Empty dependency array - only run on mount
 
-  // Effect: generate plasmid map viewer HTML when a gene node is selected
+  // Accept node/edge files dropped anywhere on the page and hand them to the dataset dialog
   useEffect(() => {
-    if (!highlightedNode) {
-      setIframeSrc('');
-      setShowIframe(false);
+    const onDragOver = e => {
+      if (e.dataTransfer?.types?.includes('Files')) e.preventDefault();
+    };
+    const onDrop = e => {
+      // The open dialog handles its own drops
+      if (e.defaultPrevented || !e.dataTransfer?.files?.length) return;
+      e.preventDefault();
+      setDroppedFiles(Array.from(e.dataTransfer.files));
+      setShowDatasetDialog(true);
+    };
+    window.addEventListener('dragover', onDragOver);
+    window.addEventListener('drop', onDrop);
+    return () => {
+      window.removeEventListener('dragover', onDragOver);
+      window.removeEventListener('drop', onDrop);
+    };
+  }, []);
+
+  const openDatasetDialog = () => {
+    setDroppedFiles(null);
+    setShowDatasetDialog(true);
+  };
+
+  // Replace the current network with a user-supplied node/edge table pair
+  const handleDatasetLoad = ({ nodes, edges, name }) => {
+    setShowDatasetDialog(false);
+    setDroppedFiles(null);
+    setHighlightedNode(null);
+    setHoveredNode(null);
+    setSearchId('');
+    setZoomToId('');
+    startLoad({ type: 'BUILD_NETWORK', metadataRows: nodes, edgeRows: edges, name });
+  };
+
+  // Export the full graph, or only nodes left visible by the legend filters, as GraphML
+  const exportGraphML = (visibleOnly) => {
+    const graph = networkRef.current?.getExportGraph({ visibleOnly });
+    if (!graph) return;
+    const filename = visibleOnly ? 'plasmid_network_visible.graphml' : 'plasmid_network.graphml';
+    downloadFile(writeGraphML(graph), filename, 'application/graphml+xml');
+  };
+
+  // Export node metadata (with displayed color/category) and edges for the visible or selected nodes
+  const exportTables = ({ selectedOnly, format }) => {
+    const tables = networkRef.current?.getExportTables({ selectedOnly });
+    if (!tables) return;
+    downloadTables(tables, format, selectedOnly ? 'plasmid_network_selected' : 'plasmid_network_visible');
+  };
+
+  // Redraw the view as SVG (with legend/overlays) and download it, or a PNG rasterized from it
+  const exportImage = async (options) => {
+    const renderer = sigmaRef.current;
+    const layers = networkRef.current?.getImageLayers();
+    if (!renderer || !layers) return;
+    const svg = renderNetworkSVG(renderer, layers, options);
+    if (options.format === 'svg') {
+      downloadFile(svg, 'plasmid_network.svg', 'image/svg+xml');
+    } else {
+      downloadFile(await svgToPngBlob(svg, options.width, options.height, options.dpi), 'plasmid_network.png');
+    }
+  };
+
+  // Run Louvain in SigmaNetwork's worker, then offer the new column in "Color by" and switch to it
+  const runCommunityDetection = async (options) => {
+    const result = await networkRef.current.detectCommunities(options);
+    setDerivedColumns(prev => (prev.includes(result.column) ? prev : [...prev, result.column]));
+    setColorBy(result.column);
+    return result;
+  };
+
+  // Centrality metrics from SigmaNetwork's worker become "Color by" columns
+  const runNetworkMetrics = async (options) => {
+    const result = await networkRef.current.computeMetrics(options);
+    setDerivedColumns(prev => [...prev, ...result.columns.filter(col => !prev.includes(col))]);
+    return result;
+  };
+
+  const hasCoordinates = useMemo(
+    () => metadataRows.some(row => Number.isFinite(parseFloat(row.x)) && Number.isFinite(parseFloat(row.y))),
+    [metadataRows]
+  );
+
+  const startLayout = (settings = layoutSettings, options = {}) => {
+    networkRef.current?.startLayout({ ...settings, pinExisting: settings.pinExisting && hasCoordinates, ...options });
+  };
+
+  // Gravity and scaling apply to a running layout; changing pinning restarts it with the new pins
+  const changeLayoutSettings = (next) => {
+    setLayoutSettings(next);
+    if (!layoutStatus.running) return;
+    if (next.pinExisting !== layoutSettings.pinExisting) startLayout(next);
+    else networkRef.current?.setLayoutSettings({ gravity: next.gravity, scalingRatio: next.scalingRatio });
+  };
+
+  // Everything needed to reproduce the current view, for the URL hash
+  const currentViewState = () => ({
+    colorBy,
+    columnTypes: columnTypeOverrides,
+    filters: facetFilters,
+    sizeBy: activeSizeBy,
+    highlightedNode: highlightedNode || null,
+    edgeMode,
+    dynamicEdges: enableDynamicEdges,
+    labels: showLabels,
+    neighborhoodDepth,
+    ...networkRef.current?.getViewState(),
+  });
+  const currentViewStateRef = useRef(currentViewState);
+  currentViewStateRef.current = currentViewState;
+
+  const writeViewHash = useCallback(() => {
+    clearTimeout(hashTimerRef.current);
+    if (!hashSyncEnabledRef.current) return;
+    window.history.replaceState(null, '', '#' + encodeViewState(currentViewStateRef.current()));
+  }, []);
+
+  // Camera moves fire on every frame, so hash updates are debounced
+  const scheduleViewHash = useCallback(() => {
+    clearTimeout(hashTimerRef.current);
+    hashTimerRef.current = setTimeout(writeViewHash, 300);
+  }, [writeViewHash]);
+
+  useEffect(() => {
+    if (isNetworkReady) scheduleViewHash();
+  }, [colorBy, columnTypeOverrides, facetFilters, activeSizeBy, highlightedNode, edgeMode, enableDynamicEdges, showLabels, neighborhoodDepth, isNetworkReady, scheduleViewHash]);
+
+  useEffect(() => () => clearTimeout(hashTimerRef.current), []);
+
+  // Apply a decoded view; values that don't fit the current dataset are skipped.
+  // extraColumns are columns being restored alongside the view (session computed columns).
+  const restoreViewState = (view, extraColumns = []) => {
+    const hasColumn = colorByOptions.includes(view.colorBy) || extraColumns.includes(view.colorBy);
+    if (hasColumn) setColorBy(view.colorBy);
+    if (view.columnTypes && typeof view.columnTypes === 'object') {
+      const known = new Set(COLUMN_TYPES.map(t => t.value));
+      setColumnTypeOverrides(Object.fromEntries(Object.entries(view.columnTypes).filter(([, type]) => known.has(type))));
+    }
+    if (Array.isArray(view.filters)) setFacetFilters(sanitizeFacets(view.filters, [...colorByOptions, ...extraColumns]));
+    if (typeof view.sizeBy === 'string') setSizeBy(view.sizeBy);
+    if (view.edgeMode === 'none' || view.edgeMode === 'all') setEdgeMode(view.edgeMode);
+    if (typeof view.dynamicEdges === 'boolean') setEnableDynamicEdges(view.dynamicEdges);
+    if (typeof view.labels === 'boolean') setShowLabels(view.labels);
+    if ([0, 1, 2, 3].includes(view.neighborhoodDepth)) setNeighborhoodDepth(view.neighborhoodDepth);
+    const node = view.highlightedNode;
+    setHighlightedNode(node && network?.nodeIds.includes(node) ? node : null);
+    // Only sessions carry the selection (it would make links too long)
+    if (Array.isArray(view.selectedNodes)) {
+      const known = new Set(network?.nodeIds);
+      setSelectedNodes(new Set(view.selectedNodes.filter(id => known.has(id))));
+    }
+    setPendingNetworkView({
+      camera: view.camera,
+      legend: hasColumn ? view.legend : null,
+      colorBy: view.colorBy,
+      sizeStyle: view.sizeStyle,
+    });
+  };
+
+  // Runs after SigmaNetwork has picked up the restored colorBy/edgeMode, so the camera
+  // lands on the rebuilt renderer and the legend on the right column
+  useEffect(() => {
+    if (!pendingNetworkView) return;
+    networkRef.current?.applyViewState(pendingNetworkView);
+    setPendingNetworkView(null);
+    hashSyncEnabledRef.current = true;
+    scheduleViewHash();
+  }, [pendingNetworkView, scheduleViewHash]);
+
+  const handleNetworkReady = () => {
+    console.log('[App] Network is fully ready and colored!');
+    setIsNetworkReady(true);
+    const view = initialViewRef.current;
+    initialViewRef.current = null;
+    if (view) restoreViewState(view);
+    else hashSyncEnabledRef.current = true;
+    // Random starting positions mean nothing, so lay out datasets without coordinates right away
+    if (!hasCoordinates) {
+      setShowLayoutPanel(true);
+      startLayout(layoutSettings, { iterationLimit: AUTO_LAYOUT_ITERATIONS });
+    }
+  };
+
+  // Links pasted into the address bar of an open tab (or back/forward) change only the hash
+  useEffect(() => {
+    if (!isNetworkReady) return;
+    const onHashChange = () => {
+      const view = decodeViewState(window.location.hash);
+      if (view) restoreViewState(view);
+    };
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  });
+
+  const copyViewLink = async () => {
+    hashSyncEnabledRef.current = true;
+    writeViewHash();
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 1500);
+    } catch (err) {
+      console.error('[App] Could not copy link:', err);
+    }
+  };
+
+  const saveSession = () => {
+    const session = createSession({
+      dataset: {
+        name: datasetName,
+        nodeCount: network.nodeIds.length,
+        edgeCount: network.sources.length,
+        columns: csvColumns,
+      },
+      view: { ...currentViewState(), selectedNodes: [...selectedNodes] },
+      settings: {
+        edgeWeightRange,
+        hideIsolatedNodes,
+        edgeStyle,
+        showPTUs,
+        mapSource,
+        categoricalPalettes: networkRef.current?.getCategoricalStyles() ?? {},
+      },
+      computedColumns: networkRef.current?.getComputedColumns() ?? {},
+    });
+    downloadFile(JSON.stringify(session), 'plasmid_network_session.json', 'application/json');
+  };
+
+  // Restore a saved session onto the loaded network, warning about anything that doesn't match
+  const loadSession = async (file) => {
+    let session;
+    try {
+      session = parseSession(await file.text());
+    } catch (err) {
+      setSessionNotice({ error: err.message });
       return;
     }
+    const warnings = checkSessionDataset(session, {
+      name: datasetName,
+      nodeIds: network.nodeIds,
+      edgeCount: network.sources.length,
+      columns: csvColumns,
+    });
 
-    const worker = new Worker(new URL('./iframeWorker.js', import.meta.url), { type: 'module' });
+    const computedNames = Object.keys(session.computedColumns);
+    networkRef.current?.setComputedColumns(session.computedColumns);
+    setDerivedColumns(prev => [...prev, ...computedNames.filter(col => !prev.includes(col))]);
+    const { settings } = session;
+    const range = settings.edgeWeightRange;
+    setEdgeWeightRange(hasEdgeWeights && Array.isArray(range) && range.length === 2 ? range : null);
+    if (typeof settings.hideIsolatedNodes === 'boolean') setHideIsolatedNodes(settings.hideIsolatedNodes);
+    setEdgeStyle({ ...DEFAULT_EDGE_STYLE, ...settings.edgeStyle });
+    if (typeof settings.showPTUs === 'boolean') setShowPTUs(settings.showPTUs);
+    if (typeof settings.mapSource === 'string' && settings.mapSource) applyMapSource(settings.mapSource);
+    if (settings.categoricalPalettes && typeof settings.categoricalPalettes === 'object') {
+      networkRef.current?.setCategoricalStyles(settings.categoricalPalettes);
+    }
+    restoreViewState(session.view, computedNames);
+    setSessionNotice(warnings.length ? { warnings } : null);
+  };
 
-    worker.onmessage = (event) => {
-      const { type, htmlContent, error } = event.data;
-
-      if (type === 'IFRAME_LOADED') {
-        const blob = new Blob([htmlContent], { type: 'text/html' });
-        const blobUrl = URL.createObjectURL(blob);
-        setIframeSrc(blobUrl);
-        setShowIframe(true);
-        return () => URL.revokeObjectURL(blobUrl);
-      }
+  const applyMapSource = (source) => {
+    setMapSource(source);
+    saveMapSource(datasetName, source);
+  };
 
-      if (type === 'IFRAME_ERROR') {
-        console.error('Error loading iframe:', error);
+  // Index a folder picked from disk by file name so maps can be read from it directly
+  const chooseMapFolder = (files) => {
+    const jsonFiles = new Map(files.filter(file => file.name.endsWith('.json')).map(file => [file.name, file]));
+    const name = files[0].webkitRelativePath?.split('/')[0] || 'folder';
+    setMapFolder({ name, files: jsonFiles });
+  };
+
+  // Fetch and parse a node's map JSON from the local folder if one is chosen, else from the map source
+  const loadPlasmidMap = useCallback(async (id) => {
+    let request;
+    if (mapFolder) {
+      const file = mapFolder.files.get(mapFileName(id));
+      if (!file) throw new Error(`No ${mapFileName(id)} in the folder ${mapFolder.name}`);
+      request = { file };
+    } else {
+      try {
+        request = { url: resolveMapUrl(mapSource, id) };
+      } catch {
+        throw new Error(`The map source "${mapSource}" is not a valid URL`);
       }
-    };
+    }
+    return parseMapJson(await fetchMapJson({ id, ...request }));
+  }, [mapFolder, mapSource]);
 
-    worker.postMessage({ type: 'LOAD_IFRAME', id: highlightedNode });
+  // Effect: load and parse the plasmid map JSON when a gene node is selected
+  useEffect(() => {
+    setMapError('');
+    setMapAnnotation(null);
+    if (!highlightedNode) {
+      setMapData(null);
+      setShowGenomeMap(false);
+      return;
+    }
+
+    // Ignore a slow response once another node has been selected
+    let cancelled = false;
+    loadPlasmidMap(highlightedNode)
+      .then(map => {
+        if (cancelled) return;
+        setMapData({ id: highlightedNode, map });
+        setShowGenomeMap(true);
+      })
+      .catch(err => {
+        if (cancelled) return;
+        console.error('[App] Genome map unavailable:', err.message);
+        setMapData(null);
+        setMapError(err.message);
+        setShowGenomeMap(true);
+      });
 
     return () => {
-      worker.terminate();
+      cancelled = true;
     };
-  }, [highlightedNode]);
+  }, [highlightedNode, loadPlasmidMap]);
+
+  // Open the selected plasmids' maps side by side, in selection order
+  const compareSelectedMaps = async () => {
+    const ids = [...selectedNodes].slice(0, MAX_COMPARED_MAPS);
+    const requestId = ++comparisonRequestRef.current;
+    setComparison({ edges: networkRef.current?.getEdgesBetween(ids) ?? [], entries: null });
+    const entries = await Promise.all(ids.map(id => loadPlasmidMap(id).then(
+      map => ({ id, map }),
+      err => ({ id, error: err.message })
+    )));
+    if (comparisonRequestRef.current === requestId) setComparison(prev => prev && { ...prev, entries });
+  };
+
+  // Plasmids carrying the annotation hovered in the map, from their metadata
+  const mapVisible = showGenomeMap && Boolean(mapData) && isNetworkReady;
+  const annotationIndex = useMemo(
+    () => (mapVisible ? buildAnnotationIndex(metadataRows) : null),
+    [metadataRows, mapVisible]
+  );
+  const annotationMatches = useMemo(() => {
+    if (!annotationIndex || !mapAnnotation) return null;
+    const matches = plasmidsWithAnnotation(annotationIndex, mapAnnotation);
+    return matches.size ? matches : null;
+  }, [annotationIndex, mapAnnotation]);
+  const annotationLabel = mapAnnotation?.name || mapAnnotation?.category;
+  const annotationStatus = mapAnnotation && annotationIndex && (
+    annotationMatches
+      ? `${annotationMatches.size} plasmid${annotationMatches.size === 1 ? '' : 's'} with ${annotationLabel} highlighted`
+      : `No plasmids with ${annotationLabel} in the node table`
+  );
+
+  // Data is loaded and SigmaNetwork is rendering/coloring it
+  const isFinalizing = !isLoading && !loadError && isReady && !isNetworkReady;
 
   // --- Elegant Plasmid DNA Loading Animation ---
   return (
@@ -343,14 +948,31 @@ function App() {
             </div>
           </div>
           <div className="loading-text">
-            {!isNetworkReady && isReady ? 'Finalizing network visualization...' : loadingStatus}
+            {isFinalizing ? 'Finalizing network visualization...' : loadingStatus}
           </div>
+          {isLoading && (
+            <button onClick={cancelLoad} style={{ ...buttonStyle, marginBottom: 12 }}>
+              Cancel
+            </button>
+          )}
+          {loadError && (
+            <div style={{ display: 'flex', gap: 8, marginBottom: 12 }}>
+              <button onClick={openDatasetDialog} style={buttonStyle}>
+                Open Dataset
+              </button>
+              {network && (
+                <button onClick={() => { setLoadError(''); setIsNetworkReady(true); }} style={buttonStyle}>
+                  Back to Network
+                </button>
+              )}
+            </div>
+          )}
           
           <div className="progress-container">
             <div className="progress-bar">
               <div 
                 className="progress-fill" 
-                style={{width: `${!isNetworkReady && isReady ? 95 : loadingProgress}%`}}
+                style={{width: `${isFinalizing ? 95 : loadingProgress}%`}}
               ></div>
             </div>
             <div className="progress-dots">
@@ -379,7 +1001,7 @@ function App() {
                 top: 10, 
                 left: 0, // align to the very left
                 width: '100vw', // span the full width
-                zIndex: 20, 
+                zIndex: 30, // above the tool panels so search suggestions stay visible
                 display: 'flex', 
                 gap: 8, 
                 flexWrap: 'wrap',
@@ -388,58 +1010,183 @@ function App() {
                 paddingLeft: 10, // add a little padding
                 paddingRight: 10
               }}>
-              {(edgeRows.length > 0) && (
+              <button onClick={openDatasetDialog} style={buttonStyle}>
+                Open Dataset
+              </button>
+              {hasEdges && (
                 <>
                   {/* Color by selector label */}
                   <span style={{ fontSize: 13, marginRight: 6, whiteSpace: 'nowrap', marginTop: 0 }}>Color by:</span>
                   <select value={String(colorBy)} onChange={e => setColorBy(String(e.target.value))} style={{ background: 'rgba(255,255,255,0.7)', borderRadius: 4 }}>
-                    {csvColumns.map(col => (
+                    {colorByOptions.map(col => (
+                      <option key={col} value={col}>{col}</option>
+                    ))}
+                  </select>
+                  <select
+                    value={columnTypeOverrides[colorBy] ?? ''}
+                    onChange={e => setColumnType(colorBy, e.target.value)}
+                    title="How the Color by column is read: categories get a legend, numbers and dates a gradient"
+                    style={{ background: 'rgba(255,255,255,0.7)', borderRadius: 4 }}
+                  >
+                    <option value="">Auto ({inferredColumnTypes[colorBy] ?? 'categorical'})</option>
+                    {COLUMN_TYPES.map(t => (
+                      <option key={t.value} value={t.value}>{t.label}</option>
+                    ))}
+                  </select>
+                  <span style={{ fontSize: 13, marginRight: 6, whiteSpace: 'nowrap', marginTop: 0 }}>Size by:</span>
+                  <select value={activeSizeBy} onChange={e => setSizeBy(e.target.value)} style={{ background: 'rgba(255,255,255,0.7)', borderRadius: 4 }}>
+                    <option value="">(fixed)</option>
+                    {numericColumns.map(col => (
                       <option key={col} value={col}>{col}</option>
                     ))}
                   </select>
                   <div style={{ position: 'relative', display: 'inline-block' }}>
                     <input
                       type="text"
-                      placeholder="Search node id..."
-                      style={{ background: 'rgba(255,255,255,0.7)', borderRadius: 14, padding: '2px 6px', minWidth: 120 }}
+                      ref={searchInputRef}
+                      placeholder='Search node id or query, e.g. size > 50000 AND host ~ "Klebsiella"'
+                      title='Node id, or a metadata query: column = != > >= < <= ~ (contains) !~ value, combined with AND, OR, NOT and parentheses'
+                      style={{ background: 'rgba(255,255,255,0.7)', borderRadius: 14, padding: '2px 6px', minWidth: 120, width: looksLikeQuery(searchId) ? 320 : undefined }}
                       value={searchId}
-                      onChange={e => setSearchId(e.target.value)}
+                      onChange={e => {
+                        setSearchId(e.target.value);
+                        setShowSuggestions(true);
+                        setActiveSuggestion(-1);
+                        updateCompletions(e.target.value, e.target.selectionStart);
+                      }}
+                      onSelect={e => updateCompletions(e.target.value, e.target.selectionStart)}
                       onKeyDown={e => {
-                        if (e.key === 'Enter') {
-                          setZoomToId(searchId);
-                          setHighlightedNode(searchId);
+                        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                          e.preventDefault();
+                          const step = e.key === 'ArrowDown' ? 1 : -1;
+                          setActiveSuggestion(i => Math.max(-1, Math.min(suggestions.length - 1, i + step)));
+                        } else if (e.key === 'Tab' && queryCompletions) {
+                          e.preventDefault();
+                          chooseSuggestion(suggestions[activeSuggestion]?.completion ? suggestions[activeSuggestion] : suggestions[0]);
+                        } else if (e.key === 'Escape') {
+                          setQueryCompletions(null);
+                          setShowSuggestions(false);
+                          setActiveSuggestion(-1);
+                        } else if (e.key === 'Enter' && suggestions[activeSuggestion]) {
+                          chooseSuggestion(suggestions[activeSuggestion]);
+                        } else if (e.key === 'Enter' && !looksLikeQuery(searchId)) {
+                          // An exact node id wins; otherwise take the best-ranked match
+                          const best = searchResults?.results[0];
+                          if (nodeIdOptions.includes(searchId) || !best) zoomToNode(searchId);
+                          else chooseSearchResult(best);
                         }
                       }}
                       autoComplete="off"
-                      onBlur={() => setFilteredOptions([])}
+                      onFocus={() => setShowSuggestions(true)}
+                      onBlur={() => {
+                        setShowSuggestions(false);
+                        setQueryCompletions(null);
+                        setActiveSuggestion(-1);
+                      }}
                     />
-                    {filteredOptions.length > 0 && (
-                      <div style={{ position: 'absolute', top: '100%', left: 0, right: 0, background: 'white', border: '1px solid #ccc', zIndex: 100, maxHeight: 180, overflowY: 'auto' }}>
-                        {filteredOptions.map(option => (
+                    {(queryResult?.error || suggestions.length > 0) && (
+                      <div style={{ position: 'absolute', top: '100%', left: 0, minWidth: '100%', background: 'white', border: '1px solid #ccc', zIndex: 100, maxHeight: 220, overflowY: 'auto', fontSize: 12 }}>
+                        {queryResult?.error && (
+                          <div style={{ padding: '2px 6px', color: '#c0392b', whiteSpace: 'nowrap' }}>
+                            <div style={{ fontFamily: 'monospace', whiteSpace: 'pre' }}>{searchId}</div>
+                            <div style={{ fontFamily: 'monospace', whiteSpace: 'pre' }}>{' '.repeat(queryResult.error.position)}^</div>
+                            {queryResult.error.message}
+                          </div>
+                        )}
+                        {suggestions.map((suggestion, i) => (
                           <div
-                            key={option}
-                            style={{ padding: '2px 6px', cursor: 'pointer' }}
-                            onMouseDown={() => {
-                              setSearchId(option);
-                              setZoomToId(option);
-                              setHighlightedNode(option);
+                            key={suggestion.key}
+                            style={{ padding: '2px 6px', cursor: 'pointer', display: 'flex', justifyContent: 'space-between', gap: 12, whiteSpace: 'nowrap', background: i === activeSuggestion ? '#e8f0fe' : undefined }}
+                            onMouseEnter={() => setActiveSuggestion(i)}
+                            onMouseDown={e => {
+                              e.preventDefault();
+                              chooseSuggestion(suggestion);
                             }}
-                          >{option}</div>
+                          >
+                            {suggestion.completion ? (
+                              <>
+                                {suggestion.completion.label}
+                                <span style={{ color: '#999' }}>{queryCompletions.kind}</span>
+                              </>
+                            ) : (
+                              <>
+                                {suggestion.result.node}
+                                {suggestion.result.field !== 'id' && (
+                                  <span style={{ color: '#999', overflow: 'hidden', textOverflow: 'ellipsis', maxWidth: 260 }}>
+                                    {suggestion.result.field}: {suggestion.result.value}
+                                  </span>
+                                )}
+                              </>
+                            )}
+                          </div>
                         ))}
+                        {showSuggestions && searchResults?.results.length > 0 && !looksLikeQuery(searchId) && (
+                          <div
+                            style={{ padding: '2px 6px', cursor: 'pointer', color: '#1a73e8', borderTop: '1px solid #eee' }}
+                            onMouseDown={e => {
+                              e.preventDefault();
+                              setShowSearchResults(true);
+                              setShowSuggestions(false);
+                            }}
+                          >Show all {searchResults.results.length} results</div>
+                        )}
                       </div>
                     )}
                   </div>
+                  <button onClick={() => setShowCommunityPanel(prev => !prev)} style={buttonStyle}>
+                    Detect Communities
+                  </button>
+                  <button onClick={() => setShowMetricsPanel(prev => !prev)} style={buttonStyle}>
+                    Add Network Metrics
+                  </button>
+                  <button onClick={() => setShowFilterPanel(prev => !prev)} style={buttonStyle}>
+                    {activeFacetCount ? `Filters (${activeFacetCount})` : 'Filters'}
+                  </button>
+                  <button onClick={() => setShowLayoutPanel(prev => !prev)} style={buttonStyle}>
+                    {layoutStatus.running ? 'Layout (running)' : 'Layout'}
+                  </button>
+                  <button
+                    onClick={() => {
+                      if (showPathPanel) setPathResult(null);
+                      setShowPathPanel(!showPathPanel);
+                    }}
+                    style={buttonStyle}
+                  >
+                    Find Path
+                  </button>
+                  {hasEdgeWeights && (
+                    <button onClick={() => setShowEdgeFilter(prev => !prev)} style={buttonStyle}>
+                      {edgeWeightRange ? 'Edge Filter (on)' : 'Edge Filter'}
+                    </button>
+                  )}
+                  <button onClick={() => setShowEdgeStyle(prev => !prev)} style={buttonStyle}>
+                    Edge Style
+                  </button>
                   {/* Toggle dynamic edges on click/highlight/zoom */}
                   <button onClick={() => setEnableDynamicEdges(!enableDynamicEdges)} style={buttonStyle}>
                     {enableDynamicEdges ? 'Disable Dynamic Edges' : 'Enable Dynamic Edges'}
                   </button>
+                  <select
+                    value={neighborhoodDepth}
+                    onChange={e => setNeighborhoodDepth(Number(e.target.value))}
+                    title="Show the k-hop neighborhood of the clicked node, colored by hop distance"
+                    style={{ background: 'rgba(255,255,255,0.7)', borderRadius: 4 }}
+                  >
+                    <option value={0}>Neighborhood: off</option>
+                    <option value={1}>Neighborhood: 1 hop</option>
+                    <option value={2}>Neighborhood: 2 hops</option>
+                    <option value={3}>Neighborhood: 3 hops</option>
+                  </select>
                   {/* Existing edge toggle */}
                   <button onClick={() => setEdgeMode(edgeMode === 'none' ? 'all' : 'none')} style={buttonStyle}>
                     {edgeMode === 'none' ? 'Show All Edges (slow)' : 'Hide Edges'}
                   </button>
                   {/* Toggle map visibility */}
-                  <button onClick={() => setShowIframe(!showIframe)} style={buttonStyle}>
-                    {showIframe ? 'Hide Genome Map' : 'Show Genome Map'}
+                  <button onClick={() => setShowGenomeMap(!showGenomeMap)} style={buttonStyle}>
+                    {showGenomeMap ? 'Hide Genome Map' : 'Show Genome Map'}
+                  </button>
+                  <button onClick={() => setShowMapSource(prev => !prev)} style={buttonStyle}>
+                    Map Source
                   </button>
                   <button onClick={() => setShowLabels(prev => !prev)} style={buttonStyle}>
                     {showLabels ? 'Hide Labels' : 'Show Labels'}
@@ -448,22 +1195,200 @@ function App() {
                     {showPTUs ? 'Hide PTUs' : 'Show PTUs'}
                   </button>
                   {/* Export network snapshot */}
-                  <button onClick={() => {
-                      if (sigmaRef.current) downloadAsPNG(sigmaRef.current, { height: 800, width: 800 });
+                  <button onClick={() => setShowImageExport(prev => !prev)} style={buttonStyle}>
+                    Export Image
+                  </button>
+                  <select
+                    value=""
+                    onChange={e => {
+                      if (e.target.value) exportGraphML(e.target.value === 'visible');
                     }}
-                    style={buttonStyle}>
-                     Download PNG
-                   </button>
+                    style={{ background: 'rgba(255,255,255,0.7)', borderRadius: 4 }}
+                  >
+                    <option value="">Export GraphML...</option>
+                    <option value="full">Full graph</option>
+                    <option value="visible">Visible nodes only</option>
+                  </select>
+                  <button onClick={() => setShowDataExport(prev => !prev)} style={buttonStyle}>
+                    Export Data
+                  </button>
+                  <button onClick={copyViewLink} style={buttonStyle}>
+                    {linkCopied ? 'Link Copied' : 'Copy Link'}
+                  </button>
+                  <button onClick={saveSession} style={buttonStyle}>
+                    Save Session
+                  </button>
+                  <label style={buttonStyle}>
+                    Load Session
+                    <input
+                      type="file"
+                      accept=".json,application/json"
+                      style={{ display: 'none' }}
+                      onChange={e => {
+                        const file = e.target.files?.[0];
+                        if (file) loadSession(file);
+                        e.target.value = '';
+                      }}
+                    />
+                  </label>
                 </>
               )}
             </div>
 
+            {/* Tool panels stacked under the toolbar */}
+            <div style={{ position: 'absolute', top: 44, left: 10, zIndex: 25, display: 'flex', flexDirection: 'column', gap: 8, alignItems: 'flex-start' }}>
+              {showPathPanel && (
+                <PathPanel
+                  highlightedNode={highlightedNode}
+                  hasWeights={hasEdgeWeights}
+                  rows={queryRows}
+                  result={pathResult}
+                  onFind={findPath}
+                  onZoom={zoomToNode}
+                  onClear={() => setPathResult(null)}
+                  onClose={() => {
+                    setShowPathPanel(false);
+                    setPathResult(null);
+                  }}
+                />
+              )}
+              {showSearchResults && searchResults && (
+                <SearchResultsPanel
+                  query={searchResults.query}
+                  results={searchResults.results}
+                  onZoom={zoomToNode}
+                  onSelect={() => setSelectedNodes(new Set(searchResults.results.map(r => r.node)))}
+                  onClose={() => setShowSearchResults(false)}
+                />
+              )}
+              {queryMatches && (
+                <QueryResultsPanel
+                  matches={queryMatches}
+                  totalNodes={nodeIdOptions.length}
+                  filter={queryFilter}
+                  onFilterChange={setQueryFilter}
+                  onSelect={() => setSelectedNodes(new Set(queryMatches))}
+                  onZoom={zoomToNode}
+                  onClear={() => setSearchId('')}
+                />
+              )}
+              {sessionNotice && (
+                <div style={{ width: 260, background: '#fff', border: '1px solid #ccc', borderRadius: 4, padding: '8px', fontSize: '11px', boxShadow: '0 2px 6px rgba(0,0,0,0.15)' }}>
+                  <strong style={{ display: 'block', marginBottom: 6 }}>
+                    {sessionNotice.error ? 'Could not load session' : 'Session loaded with warnings'}
+                  </strong>
+                  {sessionNotice.error ? (
+                    <div style={{ color: '#c0392b', marginBottom: 6 }}>{sessionNotice.error}</div>
+                  ) : (
+                    <ul style={{ margin: '0 0 6px', paddingLeft: 16, color: '#c0392b' }}>
+                      {sessionNotice.warnings.map(w => <li key={w}>{w}</li>)}
+                    </ul>
+                  )}
+                  <button onClick={() => setSessionNotice(null)} style={buttonStyle}>Dismiss</button>
+                </div>
+              )}
+              {showCommunityPanel && (
+                <CommunityPanel
+                  hasWeights={hasEdgeWeights}
+                  onRun={runCommunityDetection}
+                  onClose={() => setShowCommunityPanel(false)}
+                />
+              )}
+              {showMapSource && (
+                <MapSourcePanel
+                  key={datasetName}
+                  datasetName={datasetName}
+                  source={mapSource}
+                  folder={mapFolder}
+                  onApply={applyMapSource}
+                  onChooseFolder={chooseMapFolder}
+                  onClearFolder={() => setMapFolder(null)}
+                  onClose={() => setShowMapSource(false)}
+                />
+              )}
+              {showLayoutPanel && (
+                <LayoutPanel
+                  settings={layoutSettings}
+                  onSettingsChange={changeLayoutSettings}
+                  status={layoutStatus}
+                  hasCoordinates={hasCoordinates}
+                  onStart={() => startLayout()}
+                  onStop={() => networkRef.current?.stopLayout()}
+                  onReset={() => networkRef.current?.resetLayout()}
+                  onSave={() => networkRef.current?.saveLayoutCoordinates() ?? 0}
+                  onClose={() => setShowLayoutPanel(false)}
+                />
+              )}
+              {showFilterPanel && (
+                <FilterPanel
+                  columns={colorByOptions}
+                  typeOf={columnType}
+                  facets={shownFacets}
+                  summary={facetSummary}
+                  totalNodes={nodeIdOptions.length}
+                  onChange={updateFacets}
+                  onColorBy={setColorBy}
+                  onSelect={() => setSelectedNodes(new Set(facetSummary.matches))}
+                  onClose={() => setShowFilterPanel(false)}
+                />
+              )}
+              {showMetricsPanel && (
+                <MetricsPanel
+                  onRun={runNetworkMetrics}
+                  onColorBy={setColorBy}
+                  onClose={() => setShowMetricsPanel(false)}
+                />
+              )}
+              {showEdgeFilter && hasEdgeWeights && (
+                <EdgeWeightFilter
+                  weights={network.weights}
+                  range={edgeWeightRange}
+                  onRangeChange={setEdgeWeightRange}
+                  hideIsolated={hideIsolatedNodes}
+                  onHideIsolatedChange={setHideIsolatedNodes}
+                  onClose={() => setShowEdgeFilter(false)}
+                />
+              )}
+              {showImageExport && (
+                <ImageExportPanel
+                  defaults={{ includePTULabels: showPTUs, includeLabels: showLabels }}
+                  onExport={exportImage}
+                  onClose={() => setShowImageExport(false)}
+                />
+              )}
+              {showDataExport && (
+                <DataExportPanel
+                  selectionSize={selectedNodes.size}
+                  onExport={exportTables}
+                  onClose={() => setShowDataExport(false)}
+                />
+              )}
+              {showEdgeStyle && (
+                <EdgeStylePanel
+                  edgeStyle={edgeStyle}
+                  onChange={setEdgeStyle}
+                  hasWeights={hasEdgeWeights}
+                  onClose={() => setShowEdgeStyle(false)}
+                />
+              )}
+            </div>
+
             {/* Render network canvas */}
             <SigmaNetwork
-              edgeRows={edgeRows}
+              ref={networkRef}
+              network={network}
               metadataRows={metadataRows}
+              datasetName={datasetName}
               colorBy={colorBy}
+              colorByType={colorBy ? columnType(colorBy) : null}
               highlightedNode={highlightedNode}
+              selectedNodes={selectedNodes}
+              setSelectedNodes={setSelectedNodes}
+              onCompareSelection={compareSelectedMaps}
+              queryMatches={queryMatches}
+              annotationMatches={mapVisible ? annotationMatches : null}
+              filterToQuery={queryFilter}
+              facetMatches={facetSummary.matches}
               hoveredNode={hoveredNode}
               edgeMode={edgeMode}
               enableDynamicEdges={enableDynamicEdges}
@@ -472,36 +1397,57 @@ function App() {
               setHighlightedNode={setHighlightedNode}
               showLabels={showLabels}
               showPTULabels={showPTUs}
+              edgeWeightRange={edgeWeightRange}
+              hideIsolatedNodes={hideIsolatedNodes}
+              edgeStyle={edgeStyle}
+              neighborhoodDepth={neighborhoodDepth}
+              path={pathResult?.nodes ? pathResult : null}
+              sizeBy={activeSizeBy}
+              onLayoutStatus={setLayoutStatus}
+              onComputedColumns={setComputedColumns}
               onSigmaInit={sigma => { sigmaRef.current = sigma; }}
-              onNetworkReady={() => {
-                console.log('[App] Network is fully ready and colored!');
-                setIsNetworkReady(true);
-              }}
+              onNetworkReady={handleNetworkReady}
+              onViewChange={scheduleViewHash}
             />
 
-            {/* Optional genome map iframe */}
-            {showIframe && iframeSrc && isNetworkReady && (
-              <div style={{ 
-                  position: 'absolute', 
-                  bottom: 10, 
-                  left: 10, 
-                  width: 355.5, 
-                  height: 355.5, 
-                  zIndex: 15, 
-                  backgroundColor: '#fff', 
-                borderRadius: 0,  
-                  borderWidth: 0,
-                  border: 'none', 
-                  overflow: 'hidden',
-                  boxShadow: 'none' 
-                }}>
-
-                <iframe src={iframeSrc} title="Genome Map" style={{ width: '100%', height: '100%' }} />
+            {comparison && isNetworkReady && (
+              <MapComparison
+                entries={comparison.entries}
+                edges={comparison.edges}
+                onZoom={zoomToNode}
+                onClose={() => { comparisonRequestRef.current += 1; setComparison(null); }}
+              />
+            )}
+            {/* Optional genome map of the highlighted plasmid */}
+            {mapVisible && (
+              <PlasmidMap
+                id={mapData.id}
+                map={mapData.map}
+                annotationStatus={annotationStatus}
+                onAnnotationHover={setMapAnnotation}
+                onClose={() => setShowGenomeMap(false)}
+              />
+            )}
+            {showGenomeMap && mapError && isNetworkReady && (
+              <div style={{ position: 'absolute', bottom: 10, left: 10, width: 300, zIndex: 15, background: '#fff', border: '1px solid #ccc', padding: 12, fontSize: 12, color: '#444' }}>
+                <strong style={{ display: 'block', marginBottom: 6, color: '#c0392b' }}>Genome map unavailable</strong>
+                <div style={{ marginBottom: 8, wordBreak: 'break-all' }}>{mapError}</div>
+                <span onClick={() => setShowMapSource(true)} style={{ cursor: 'pointer', textDecoration: 'underline' }}>
+                  Change the map source
+                </span>
               </div>
             )}
           </>
         )}
       </div>
+
+      {showDatasetDialog && (
+        <DatasetDialog
+          droppedFiles={droppedFiles}
+          onClose={() => setShowDatasetDialog(false)}
+          onLoad={handleDatasetLoad}
+        />
+      )}
     </>
   );
 }
@@ -0,0 +1,80 @@
+import { useState } from 'react';
+import { buttonStyle } from './ui.js';
+
+// Popover for running Louvain community detection and reporting the result of each run
+function CommunityPanel({ hasWeights, onRun, onClose }) {
+  const [weighted, setWeighted] = useState(hasWeights);
+  const [resolution, setResolution] = useState(1);
+  const [isRunning, setIsRunning] = useState(false);
+  const [error, setError] = useState('');
+  const [runs, setRuns] = useState([]);
+
+  const run = async () => {
+    const res = Number(resolution);
+    if (!(res > 0)) {
+      setError('Resolution must be a positive number.');
+      return;
+    }
+    setError('');
+    setIsRunning(true);
+    try {
+      const result = await onRun({ weighted: weighted && hasWeights, resolution: res });
+      setRuns(prev => [result, ...prev.filter(r => r.column !== result.column)]);
+    } catch (err) {
+      console.error('[CommunityPanel] Community detection failed:', err);
+      setError(err.message);
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  return (
+    <div style={{ width: 260, background: '#fff', border: '1px solid #ccc', borderRadius: 4, padding: '8px', fontSize: '11px', boxShadow: '0 2px 6px rgba(0,0,0,0.15)' }}>
+      <strong style={{ display: 'block', marginBottom: 6 }}>Detect communities (Louvain)</strong>
+      <label style={{ display: 'flex', alignItems: 'center', gap: 6, marginBottom: 4, opacity: hasWeights ? 1 : 0.5 }}>
+        <input type="checkbox" checked={weighted && hasWeights} disabled={!hasWeights} onChange={e => setWeighted(e.target.checked)} />
+        Use edge weights
+      </label>
+      <label style={{ display: 'flex', alignItems: 'center', gap: 6, marginBottom: 8 }}>
+        Resolution:
+        <input
+          type="number"
+          min="0.05"
+          step="0.1"
+          value={resolution}
+          onChange={e => setResolution(e.target.value)}
+          style={{ width: 60, fontSize: 11 }}
+        />
+      </label>
+      <div style={{ display: 'flex', gap: 8, marginBottom: 6 }}>
+        <button onClick={run} disabled={isRunning} style={buttonStyle}>
+          {isRunning ? 'Running...' : 'Run'}
+        </button>
+        <button onClick={onClose} style={buttonStyle}>Close</button>
+      </div>
+      {error && <div style={{ color: '#c0392b', marginBottom: 6 }}>{error}</div>}
+      {runs.length > 0 && (
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr style={{ textAlign: 'left' }}>
+              <th>Column</th>
+              <th>Communities</th>
+              <th>Modularity</th>
+            </tr>
+          </thead>
+          <tbody>
+            {runs.map(r => (
+              <tr key={r.column}>
+                <td>{r.column}</td>
+                <td>{r.count}</td>
+                <td>{r.modularity.toFixed(4)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default CommunityPanel;
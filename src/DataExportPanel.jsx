@@ -0,0 +1,55 @@
+import { useState } from 'react';
+import { TABLE_FORMATS } from './tableExport.js';
+import { buttonStyle } from './ui.js';
+
+const rowStyle = { display: 'flex', alignItems: 'center', gap: 6, marginBottom: 6 };
+
+// Panel for exporting the visible or selected nodes and their edges as node/edge tables
+function DataExportPanel({ selectionSize, onExport, onClose }) {
+  const [scope, setScope] = useState(selectionSize > 0 ? 'selected' : 'visible');
+  const [format, setFormat] = useState('csv');
+  const [error, setError] = useState('');
+  const effectiveScope = selectionSize > 0 ? scope : 'visible';
+
+  const runExport = () => {
+    setError('');
+    try {
+      onExport({ selectedOnly: effectiveScope === 'selected', format });
+    } catch (err) {
+      console.error('[DataExportPanel] Export failed:', err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div style={{ width: 260, background: '#fff', border: '1px solid #ccc', borderRadius: 4, padding: '8px', fontSize: '11px', boxShadow: '0 2px 6px rgba(0,0,0,0.15)' }}>
+      <strong style={{ display: 'block', marginBottom: 6 }}>Export data</strong>
+      <label style={rowStyle}>
+        <input type="radio" checked={effectiveScope === 'visible'} onChange={() => setScope('visible')} />
+        Visible nodes
+      </label>
+      <label style={{ ...rowStyle, opacity: selectionSize > 0 ? 1 : 0.5 }}>
+        <input type="radio" checked={effectiveScope === 'selected'} disabled={selectionSize === 0} onChange={() => setScope('selected')} />
+        Selected nodes ({selectionSize})
+      </label>
+      <label style={rowStyle}>
+        Format:
+        <select value={format} onChange={e => setFormat(e.target.value)} style={{ fontSize: 11 }}>
+          {TABLE_FORMATS.map(f => (
+            <option key={f.value} value={f.value}>{f.label}</option>
+          ))}
+        </select>
+      </label>
+      <div style={{ marginBottom: 8, color: '#666' }}>
+        Downloads a node table (metadata, position, displayed color and category) and the edges among those nodes.
+      </div>
+      {error && <div style={{ color: '#c0392b', marginBottom: 6 }}>{error}</div>}
+      <div style={{ display: 'flex', gap: 8 }}>
+        <button onClick={runExport} style={buttonStyle}>Export</button>
+        <button onClick={onClose} style={buttonStyle}>Close</button>
+      </div>
+    </div>
+  );
+}
+
+export default DataExportPanel;
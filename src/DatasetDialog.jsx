@@ -0,0 +1,240 @@
+import { useState, useEffect } from 'react';
+import {
+  NODE_FIELDS,
+  EDGE_FIELDS,
+  REQUIRED_FIELDS,
+  getFileFormat,
+  readTableFile,
+  readGraphMLFile,
+  guessMapping,
+  looksLikeEdgeTable,
+  missingRequiredField,
+  applyNodeMapping,
+  applyEdgeMapping,
+} from './datasetLoader.js';
+import { buttonStyle } from './ui.js';
+
+const ACCEPT = '.parquet,.pq,.csv,.tsv,.tab,.txt';
+const GRAPHML_ACCEPT = '.graphml';
+
+// One table slot (nodes or edges): file picker, drop zone and column mapping
+function TableSlot({ label, kind, fields, table, mapping, onFile, onMappingChange }) {
+  const [dragOver, setDragOver] = useState(false);
+  const required = REQUIRED_FIELDS[kind];
+
+  return (
+    <div style={{ marginBottom: 12 }}>
+      <div style={{ fontWeight: 'bold', marginBottom: 4 }}>{label}</div>
+      <label
+        onDragOver={e => { e.preventDefault(); e.stopPropagation(); setDragOver(true); }}
+        onDragLeave={() => setDragOver(false)}
+        onDrop={e => {
+          e.preventDefault();
+          e.stopPropagation();
+          setDragOver(false);
+          const file = e.dataTransfer.files?.[0];
+          if (file) onFile(file);
+        }}
+        style={{
+          display: 'block',
+          padding: '10px',
+          border: `1px dashed ${dragOver ? '#4facfe' : '#bbb'}`,
+          borderRadius: 4,
+          background: dragOver ? '#f0f8ff' : '#fafafa',
+          textAlign: 'center',
+          cursor: 'pointer'
+        }}
+      >
+        {table ? `${table.name} (${table.rows.length} rows)` : 'Drop a Parquet, CSV or TSV file here, or click to browse'}
+        <input
+          type="file"
+          accept={ACCEPT}
+          style={{ display: 'none' }}
+          onChange={e => {
+            const file = e.target.files?.[0];
+            if (file) onFile(file);
+            e.target.value = '';
+          }}
+        />
+      </label>
+      {table && (
+        <div style={{ display: 'grid', gridTemplateColumns: '60px 1fr', gap: 4, marginTop: 6, alignItems: 'center' }}>
+          {fields.map(field => (
+            <FieldSelect
+              key={field}
+              field={field}
+              required={required.includes(field)}
+              columns={table.columns}
+              value={mapping[field] || ''}
+              onChange={value => onMappingChange({ ...mapping, [field]: value })}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function FieldSelect({ field, required, columns, value, onChange }) {
+  return (
+    <>
+      <span>{field}{required ? ' *' : ''}</span>
+      <select value={value} onChange={e => onChange(e.target.value)} style={{ fontSize: 11 }}>
+        <option value="">{required ? '— select column —' : '(none)'}</option>
+        {columns.map(col => (
+          <option key={col} value={col}>{col}</option>
+        ))}
+      </select>
+    </>
+  );
+}
+
+// Modal for opening a local dataset; files dropped onto the app arrive via droppedFiles
+function DatasetDialog({ droppedFiles, onClose, onLoad }) {
+  const [nodeTable, setNodeTable] = useState(null);
+  const [edgeTable, setEdgeTable] = useState(null);
+  const [nodeMapping, setNodeMapping] = useState({});
+  const [edgeMapping, setEdgeMapping] = useState({});
+  // A GraphML file replaces the node/edge table pair entirely
+  const [graphml, setGraphml] = useState(null);
+  const [error, setError] = useState('');
+  const [isReading, setIsReading] = useState(false);
+
+  const readInto = async (file, kind) => {
+    setError('');
+    setIsReading(true);
+    try {
+      if (getFileFormat(file.name) === 'graphml') {
+        setGraphml(await readGraphMLFile(file));
+        return;
+      }
+      const table = await readTableFile(file);
+      // Let the file contents decide which slot it belongs to when dropped loosely
+      const slot = kind || (looksLikeEdgeTable(table.columns) ? 'edges' : 'nodes');
+      if (slot === 'edges') {
+        setEdgeTable(table);
+        setEdgeMapping(guessMapping(table.columns, EDGE_FIELDS));
+      } else {
+        setNodeTable(table);
+        setNodeMapping(guessMapping(table.columns, NODE_FIELDS));
+      }
+    } catch (err) {
+      console.error('[DatasetDialog] Failed to read file:', err);
+      setError(err.message);
+    } finally {
+      setIsReading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!droppedFiles?.length) return;
+    (async () => {
+      for (const file of droppedFiles) await readInto(file);
+    })();
+  }, [droppedFiles]);
+
+  const handleLoad = () => {
+    if (graphml) {
+      if (!graphml.edges.length) {
+        setError(`${graphml.name} contains no edges.`);
+        return;
+      }
+      onLoad({ nodes: graphml.nodes, edges: graphml.edges, name: graphml.name });
+      return;
+    }
+    if (!nodeTable || !edgeTable) {
+      setError('Both a node table and an edge table are required.');
+      return;
+    }
+    const missingNode = missingRequiredField(nodeMapping, 'nodes');
+    const missingEdge = missingRequiredField(edgeMapping, 'edges');
+    if (missingNode || missingEdge) {
+      setError(`Select a column for "${missingNode || missingEdge}".`);
+      return;
+    }
+    const nodes = applyNodeMapping(nodeTable.rows, nodeMapping);
+    const edges = applyEdgeMapping(edgeTable.rows, edgeMapping);
+    if (!nodes.length) {
+      setError(`No node ids found in column "${nodeMapping.id}".`);
+      return;
+    }
+    if (!edges.length) {
+      setError('No edges with both a source and a target were found.');
+      return;
+    }
+    const ids = new Set(nodes.map(n => n.id));
+    if (!edges.some(e => ids.has(e.source) || ids.has(e.target))) {
+      setError('None of the edge endpoints match a node id. Check the id/source/target columns.');
+      return;
+    }
+    onLoad({ nodes, edges, name: nodeTable.name });
+  };
+
+  return (
+    <div
+      style={{ position: 'fixed', top: 0, left: 0, right: 0, bottom: 0, zIndex: 3000, background: 'rgba(0,0,0,0.25)', display: 'flex', alignItems: 'center', justifyContent: 'center' }}
+      onDragOver={e => e.preventDefault()}
+      onDrop={e => {
+        e.preventDefault();
+        Array.from(e.dataTransfer.files || []).forEach(file => readInto(file));
+      }}
+    >
+      <div style={{ width: 380, maxHeight: '85vh', overflowY: 'auto', background: '#fff', border: '1px solid #ccc', borderRadius: 4, padding: '12px', fontSize: '11px', boxShadow: '0 2px 6px rgba(0,0,0,0.15)' }}>
+        <strong style={{ display: 'block', marginBottom: 10, fontSize: 13 }}>Open dataset</strong>
+        {graphml ? (
+          <div style={{ marginBottom: 12 }}>
+            <div style={{ fontWeight: 'bold', marginBottom: 4 }}>GraphML</div>
+            <div>{graphml.name} ({graphml.nodes.length} nodes, {graphml.edges.length} edges)</div>
+            <button onClick={() => setGraphml(null)} style={{ ...buttonStyle, marginTop: 6 }}>
+              Use node/edge tables instead
+            </button>
+          </div>
+        ) : (
+          <>
+            <TableSlot
+              label="Nodes"
+              kind="nodes"
+              fields={NODE_FIELDS}
+              table={nodeTable}
+              mapping={nodeMapping}
+              onFile={file => readInto(file, 'nodes')}
+              onMappingChange={setNodeMapping}
+            />
+            <TableSlot
+              label="Edges"
+              kind="edges"
+              fields={EDGE_FIELDS}
+              table={edgeTable}
+              mapping={edgeMapping}
+              onFile={file => readInto(file, 'edges')}
+              onMappingChange={setEdgeMapping}
+            />
+            <div style={{ marginBottom: 12 }}>
+              <label style={{ cursor: 'pointer', textDecoration: 'underline' }}>
+                Or open a GraphML file...
+                <input
+                  type="file"
+                  accept={GRAPHML_ACCEPT}
+                  style={{ display: 'none' }}
+                  onChange={e => {
+                    const file = e.target.files?.[0];
+                    if (file) readInto(file);
+                    e.target.value = '';
+                  }}
+                />
+              </label>
+            </div>
+          </>
+        )}
+        {isReading && <div style={{ marginBottom: 8, color: '#555' }}>Reading file...</div>}
+        {error && <div style={{ marginBottom: 8, color: '#c0392b' }}>{error}</div>}
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8 }}>
+          <button onClick={onClose} style={buttonStyle}>Cancel</button>
+          <button onClick={handleLoad} disabled={isReading} style={buttonStyle}>Load</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default DatasetDialog;
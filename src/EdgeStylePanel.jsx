@@ -0,0 +1,75 @@
+import { useMemo } from 'react';
+import { getPalettes } from 'dicopal';
+import { DEFAULT_EDGE_STYLE, EDGE_COLOR_MODES } from './edgeStyle.js';
+import { SCALE_TYPES } from './scales.js';
+import { buttonStyle } from './ui.js';
+
+const rowStyle = { display: 'flex', alignItems: 'center', gap: 6, marginBottom: 6 };
+
+// Panel for mapping edge weight to thickness/opacity/color and switching to curved edges
+function EdgeStylePanel({ edgeStyle, onChange, hasWeights, onClose }) {
+  // Same sequential palettes as the numeric node legend
+  const paletteOptions = useMemo(
+    () => [...new Set(getPalettes({ type: 'sequential' }).map(p => p.name))],
+    []
+  );
+  const set = (key, value) => onChange({ ...edgeStyle, [key]: value });
+  const colorModes = hasWeights ? EDGE_COLOR_MODES : EDGE_COLOR_MODES.filter(m => m.value !== 'weight');
+  const usesWeight = edgeStyle.sizeByWeight || edgeStyle.opacityByWeight || edgeStyle.colorMode === 'weight';
+
+  return (
+    <div style={{ width: 260, background: '#fff', border: '1px solid #ccc', borderRadius: 4, padding: '8px', fontSize: '11px', boxShadow: '0 2px 6px rgba(0,0,0,0.15)' }}>
+      <strong style={{ display: 'block', marginBottom: 6 }}>Edge style</strong>
+      {hasWeights && (
+        <>
+          <label style={rowStyle}>
+            <input type="checkbox" checked={edgeStyle.sizeByWeight} onChange={e => set('sizeByWeight', e.target.checked)} />
+            Thickness by weight
+          </label>
+          <label style={rowStyle}>
+            <input type="checkbox" checked={edgeStyle.opacityByWeight} onChange={e => set('opacityByWeight', e.target.checked)} />
+            Opacity by weight
+          </label>
+        </>
+      )}
+      <label style={rowStyle}>
+        Color:
+        <select value={edgeStyle.colorMode} onChange={e => set('colorMode', e.target.value)} style={{ fontSize: 11 }}>
+          {colorModes.map(m => (
+            <option key={m.value} value={m.value}>{m.label}</option>
+          ))}
+        </select>
+      </label>
+      {edgeStyle.colorMode === 'weight' && (
+        <label style={rowStyle}>
+          Palette:
+          <select value={edgeStyle.paletteName} onChange={e => set('paletteName', e.target.value)} style={{ fontSize: 11 }}>
+            {paletteOptions.map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </label>
+      )}
+      {usesWeight && (
+        <label style={rowStyle}>
+          Weight scale:
+          <select value={edgeStyle.scaleType} onChange={e => set('scaleType', e.target.value)} style={{ fontSize: 11 }}>
+            {SCALE_TYPES.map(t => (
+              <option key={t.value} value={t.value}>{t.label}</option>
+            ))}
+          </select>
+        </label>
+      )}
+      <label style={rowStyle}>
+        <input type="checkbox" checked={edgeStyle.curved} onChange={e => set('curved', e.target.checked)} />
+        Curved edges
+      </label>
+      <div style={{ display: 'flex', gap: 8, marginTop: 4 }}>
+        <button onClick={() => onChange(DEFAULT_EDGE_STYLE)} style={buttonStyle}>Reset</button>
+        <button onClick={onClose} style={buttonStyle}>Close</button>
+      </div>
+    </div>
+  );
+}
+
+export default EdgeStylePanel;
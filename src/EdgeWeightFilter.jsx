@@ -0,0 +1,103 @@
+import { useMemo } from 'react';
+import { formatWeight } from './edgeStyle.js';
+import { buttonStyle } from './ui.js';
+
+const NUM_BINS = 30;
+
+// Histogram bins over [min, max] for the edge weight distribution
+const computeHistogram = (weights) => {
+  let min = Infinity, max = -Infinity;
+  for (let i = 0; i < weights.length; i++) {
+    if (weights[i] < min) min = weights[i];
+    if (weights[i] > max) max = weights[i];
+  }
+  const counts = new Array(NUM_BINS).fill(0);
+  const span = max - min;
+  for (let i = 0; i < weights.length; i++) {
+    if (Number.isNaN(weights[i])) continue; // edge without a weight
+    const bin = span === 0 ? 0 : Math.min(NUM_BINS - 1, Math.floor((weights[i] - min) / span * NUM_BINS));
+    counts[bin] += 1;
+  }
+  return { min, max, counts, peak: Math.max(...counts) };
+};
+
+// Panel with a weight histogram and a two-handle range slider that limits which edges are drawn
+function EdgeWeightFilter({ weights, range, onRangeChange, hideIsolated, onHideIsolatedChange, onClose }) {
+  const histogram = useMemo(() => computeHistogram(weights), [weights]);
+  const { min, max, counts, peak } = histogram;
+  const [lo, hi] = range ?? [min, max];
+  const step = max > min ? (max - min) / 200 : 1;
+
+  const keptEdges = useMemo(() => {
+    let n = 0;
+    for (let i = 0; i < weights.length; i++) if (weights[i] >= lo && weights[i] <= hi) n += 1;
+    return n;
+  }, [weights, lo, hi]);
+
+  // A full-width range means "no filter" so new edges are never dropped by a stale bound
+  const update = (nextLo, nextHi) => {
+    if (nextLo <= min && nextHi >= max) onRangeChange(null);
+    else onRangeChange([nextLo, nextHi]);
+  };
+
+  const binWidth = (max - min) / NUM_BINS;
+
+  return (
+    <div style={{ width: 260, background: '#fff', border: '1px solid #ccc', borderRadius: 4, padding: '8px', fontSize: '11px', boxShadow: '0 2px 6px rgba(0,0,0,0.15)' }}>
+      <strong style={{ display: 'block', marginBottom: 6 }}>Edge weight filter</strong>
+      {/* Histogram of edge weights; bars outside the range are faded */}
+      <div style={{ display: 'flex', alignItems: 'flex-end', height: 50, gap: 1, marginBottom: 2 }}>
+        {counts.map((count, i) => {
+          const binLo = min + i * binWidth;
+          const inRange = binLo + binWidth >= lo && binLo <= hi;
+          return (
+            <div
+              key={i}
+              title={`${formatWeight(binLo)} – ${formatWeight(binLo + binWidth)}: ${count} edges`}
+              style={{
+                flex: 1,
+                height: `${peak ? Math.max(count > 0 ? 2 : 0, 100 * count / peak) : 0}%`,
+                background: inRange ? '#4facfe' : '#ddd'
+              }}
+            />
+          );
+        })}
+      </div>
+      <div style={{ position: 'relative', height: 18 }}>
+        <input
+          type="range"
+          className="dual-range"
+          min={min}
+          max={max}
+          step={step}
+          value={lo}
+          onChange={e => update(Math.min(Number(e.target.value), hi), hi)}
+        />
+        <input
+          type="range"
+          className="dual-range"
+          min={min}
+          max={max}
+          step={step}
+          value={hi}
+          onChange={e => update(lo, Math.max(Number(e.target.value), lo))}
+        />
+      </div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 6 }}>
+        <span>{formatWeight(lo)}</span>
+        <span>{keptEdges} / {weights.length} edges</span>
+        <span>{formatWeight(hi)}</span>
+      </div>
+      <label style={{ display: 'flex', alignItems: 'center', gap: 6, marginBottom: 8 }}>
+        <input type="checkbox" checked={hideIsolated} onChange={e => onHideIsolatedChange(e.target.checked)} />
+        Hide nodes left without edges
+      </label>
+      <div style={{ display: 'flex', gap: 8 }}>
+        <button onClick={() => onRangeChange(null)} style={buttonStyle}>Reset</button>
+        <button onClick={onClose} style={buttonStyle}>Close</button>
+      </div>
+    </div>
+  );
+}
+
+export default EdgeWeightFilter;
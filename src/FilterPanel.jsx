@@ -0,0 +1,158 @@
+import { useState } from 'react';
+import { createFacet, isRangeFacet } from './facetFilters.js';
+import { formatDate, toScalar } from './columnTypes.js';
+import { buttonStyle } from './ui.js';
+
+// Values listed per facet before the search box has to narrow them down
+const MAX_LISTED_VALUES = 30;
+
+const formatBound = (v, type) => {
+  if (v == null) return '';
+  if (type === 'date') return formatDate(v);
+  return Number.isInteger(v) ? String(v) : String(Number(v.toPrecision(6)));
+};
+
+// Min/max inputs of a numeric or date facet, applied on Enter or blur
+function RangeFacet({ facet, type, stat, onChange }) {
+  const [text, setText] = useState({ min: formatBound(facet.min, type), max: formatBound(facet.max, type) });
+
+  const apply = (end, value) => {
+    const bound = value.trim() === '' ? null : toScalar(value, type);
+    if (value.trim() !== '' && bound == null) {
+      setText(prev => ({ ...prev, [end]: formatBound(facet[end], type) }));
+      return;
+    }
+    if (bound !== facet[end]) onChange({ ...facet, [end]: bound });
+  };
+
+  const input = (end) => (
+    <input
+      type="text"
+      value={text[end]}
+      placeholder={formatBound(stat.extent?.[end === 'min' ? 0 : 1], type)}
+      onChange={e => setText(prev => ({ ...prev, [end]: e.target.value }))}
+      onBlur={e => apply(end, e.target.value)}
+      onKeyDown={e => { if (e.key === 'Enter') apply(end, e.currentTarget.value); }}
+      style={{ width: 0, flex: 1 }}
+    />
+  );
+
+  return (
+    <>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
+        {input('min')}
+        <span>to</span>
+        {input('max')}
+      </div>
+      <div style={{ color: '#666', marginTop: 3 }}>
+        {stat.extent
+          ? `${stat.inRange.toLocaleString()} in range · values ${formatBound(stat.extent[0], type)} – ${formatBound(stat.extent[1], type)}`
+          : 'No values left'}
+      </div>
+    </>
+  );
+}
+
+// Checkbox list of a categorical facet's values, most frequent first
+function ValueFacet({ facet, stat, onChange }) {
+  const [search, setSearch] = useState('');
+  const selected = new Set(facet.values);
+  // Selected values stay listed even when the other facets leave none of them
+  const entries = [...stat.counts.entries()];
+  facet.values.forEach(value => { if (!stat.counts.has(value)) entries.push([value, 0]); });
+  entries.sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0], undefined, { numeric: true }));
+  const needle = search.trim().toLowerCase();
+  const shown = entries.filter(([value]) => !needle || value.toLowerCase().includes(needle));
+
+  const toggle = (value) => {
+    const next = new Set(selected);
+    next.has(value) ? next.delete(value) : next.add(value);
+    onChange({ ...facet, values: [...next] });
+  };
+
+  return (
+    <>
+      {entries.length > MAX_LISTED_VALUES && (
+        <input
+          type="text"
+          value={search}
+          placeholder={`Search ${entries.length} values`}
+          onChange={e => setSearch(e.target.value)}
+          style={{ width: '100%', boxSizing: 'border-box', marginBottom: 3 }}
+        />
+      )}
+      <div style={{ maxHeight: 140, overflowY: 'auto' }}>
+        {shown.slice(0, MAX_LISTED_VALUES).map(([value, count]) => (
+          <label key={value} style={{ display: 'flex', alignItems: 'center', gap: 4, color: count ? '#000' : '#999' }}>
+            <input type="checkbox" checked={selected.has(value)} onChange={() => toggle(value)} />
+            <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{value || '(missing)'}</span>
+            <span>{count.toLocaleString()}</span>
+          </label>
+        ))}
+        {shown.length > MAX_LISTED_VALUES && (
+          <div style={{ color: '#666' }}>...and {shown.length - MAX_LISTED_VALUES} more</div>
+        )}
+      </div>
+    </>
+  );
+}
+
+// Filters on several columns at once, combined with AND; independent of the Color by column
+function FilterPanel({ columns, typeOf, facets, summary, totalNodes, onChange, onColorBy, onSelect, onClose }) {
+  const faceted = new Set(facets.map(facet => facet.column));
+  const available = columns.filter(column => !faceted.has(column));
+  const matchCount = summary.matches ? summary.matches.size : totalNodes;
+
+  const updateFacet = (i, facet) => onChange(facets.map((f, j) => (j === i ? facet : f)));
+  const removeFacet = (i) => onChange(facets.filter((_, j) => j !== i));
+
+  return (
+    <div style={{ width: 260, maxHeight: '60vh', overflowY: 'auto', background: '#fff', border: '1px solid #ccc', borderRadius: 4, padding: '8px', fontSize: '11px', boxShadow: '0 2px 6px rgba(0,0,0,0.15)' }}>
+      <strong style={{ display: 'block', marginBottom: 6 }}>Filters</strong>
+      <div style={{ marginBottom: 6, color: '#666' }}>
+        {summary.matches
+          ? `${matchCount.toLocaleString()} of ${totalNodes.toLocaleString()} nodes pass all filters`
+          : 'Add a filter to hide nodes. Filters on different columns must all match.'}
+      </div>
+      <select
+        value=""
+        onChange={e => { if (e.target.value) onChange([...facets, createFacet(e.target.value, typeOf(e.target.value))]); }}
+        disabled={!available.length}
+        style={{ width: '100%', marginBottom: 6 }}
+      >
+        <option value="">Add filter on...</option>
+        {available.map(column => (
+          <option key={column} value={column}>{column}</option>
+        ))}
+      </select>
+      {facets.map((facet, i) => {
+        const type = typeOf(facet.column);
+        return (
+          <div key={facet.column} style={{ borderTop: '1px solid #eee', paddingTop: 4, marginBottom: 6 }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: 6, marginBottom: 3 }}>
+              <span
+                onClick={() => onColorBy(facet.column)}
+                style={{ flex: 1, fontWeight: 'bold', cursor: 'pointer', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}
+                title="Click to color by this column"
+              >
+                {facet.column}
+              </span>
+              <span style={{ color: '#888' }}>{type}</span>
+              <span onClick={() => removeFacet(i)} style={{ cursor: 'pointer', color: '#888' }} title="Remove this filter">✕</span>
+            </div>
+            {isRangeFacet(facet)
+              ? <RangeFacet key={`${facet.min}-${facet.max}`} facet={facet} type={type} stat={summary.stats[i]} onChange={f => updateFacet(i, f)} />
+              : <ValueFacet facet={facet} stat={summary.stats[i]} onChange={f => updateFacet(i, f)} />}
+          </div>
+        );
+      })}
+      <div style={{ display: 'flex', gap: 8 }}>
+        <button onClick={onSelect} disabled={!summary.matches} style={buttonStyle}>Select</button>
+        <button onClick={() => onChange([])} disabled={!facets.length} style={buttonStyle}>Clear All</button>
+        <button onClick={onClose} style={buttonStyle}>Close</button>
+      </div>
+    </div>
+  );
+}
+
+export default FilterPanel;
@@ -0,0 +1,124 @@
+import { useEffect, useRef, useState } from 'react';
+
+const WIDTH = 200;
+const HEIGHT = 48;
+const HANDLE = 4;
+
+// Histogram of a numeric column with a two-handle brush over [domain[0], domain[1]].
+// Dragging on the bars draws a new range, dragging a handle moves that end; onChange(range)
+// fires on release with [lo, hi] in data units, or null once the range covers the whole domain.
+function HistogramBrush({ counts, domain, range, colorOf, formatValue, onChange }) {
+  const svgRef = useRef(null);
+  const [draft, setDraft] = useState(null); // range while dragging
+  const dragRef = useRef(null); // { anchor } for a new range, { handle: 0 | 1 } for a handle
+
+  useEffect(() => setDraft(null), [range, domain]);
+
+  const [min, max] = domain;
+  const span = max - min;
+  const toX = (v) => (span > 0 ? ((v - min) / span) * WIDTH : WIDTH / 2);
+  const toValue = (clientX) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    const fraction = Math.max(0, Math.min(1, (clientX - rect.left) / rect.width));
+    return min + fraction * span;
+  };
+
+  const shown = draft ?? range ?? domain;
+  const peak = Math.max(1, ...counts);
+  const barWidth = WIDTH / counts.length;
+
+  const pointerDown = (e) => {
+    if (!(span > 0)) return;
+    svgRef.current.setPointerCapture(e.pointerId);
+    const handle = e.target.dataset?.handle;
+    if (handle != null) {
+      dragRef.current = { handle: Number(handle) };
+      setDraft(shown);
+    } else {
+      const v = toValue(e.clientX);
+      dragRef.current = { anchor: v };
+      setDraft([v, v]);
+    }
+  };
+
+  const pointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const v = toValue(e.clientX);
+    if (drag.anchor != null) {
+      setDraft([Math.min(drag.anchor, v), Math.max(drag.anchor, v)]);
+    } else {
+      setDraft(prev => {
+        const next = [...prev];
+        next[drag.handle] = v;
+        return next[0] <= next[1] ? next : [next[1], next[0]];
+      });
+    }
+  };
+
+  const pointerUp = () => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag || !draft) return;
+    // Drop the draft even when the range comes back unchanged (a click on a handle)
+    setDraft(null);
+    // A click without a drag clears the range
+    if (draft[1] - draft[0] < span / 200 || (draft[0] <= min && draft[1] >= max)) onChange(null);
+    else onChange(draft);
+  };
+
+  return (
+    <div>
+      <svg
+        ref={svgRef}
+        viewBox={`-${HANDLE} 0 ${WIDTH + 2 * HANDLE} ${HEIGHT}`}
+        style={{ width: '100%', height: HEIGHT, display: 'block', cursor: 'crosshair', touchAction: 'none' }}
+        onPointerDown={pointerDown}
+        onPointerMove={pointerMove}
+        onPointerUp={pointerUp}
+      >
+        {counts.map((count, i) => {
+          const from = min + (i / counts.length) * span;
+          const to = min + ((i + 1) / counts.length) * span;
+          const inside = to >= shown[0] && from <= shown[1];
+          const h = count ? Math.max(1, (count / peak) * (HEIGHT - 4)) : 0;
+          return (
+            <rect
+              key={i}
+              x={i * barWidth}
+              y={HEIGHT - h}
+              width={Math.max(0.5, barWidth - 0.5)}
+              height={h}
+              fill={colorOf((from + to) / 2)}
+              opacity={inside ? 1 : 0.2}
+            >
+              <title>{`${formatValue(from)} – ${formatValue(to)}: ${count}`}</title>
+            </rect>
+          );
+        })}
+        {(draft || range) && [0, 1].map(end => (
+          <rect
+            key={end}
+            data-handle={end}
+            x={toX(shown[end]) - HANDLE / 2}
+            y={0}
+            width={HANDLE}
+            height={HEIGHT}
+            fill="#333"
+            opacity={0.7}
+            style={{ cursor: 'ew-resize' }}
+          />
+        ))}
+      </svg>
+      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '10px' }}>
+        <span>{formatValue(shown[0])}</span>
+        {range && !draft && (
+          <span onClick={() => onChange(null)} style={{ cursor: 'pointer', color: '#888' }} title="Show the whole range again">clear</span>
+        )}
+        <span>{formatValue(shown[1])}</span>
+      </div>
+    </div>
+  );
+}
+
+export default HistogramBrush;
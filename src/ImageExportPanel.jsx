@@ -0,0 +1,110 @@
+import { useState } from 'react';
+import { IMAGE_FORMATS, pngPixelSize } from './imageExport.js';
+import { buttonStyle } from './ui.js';
+
+const rowStyle = { display: 'flex', alignItems: 'center', gap: 6, marginBottom: 6 };
+const numberStyle = { width: 60, fontSize: 11 };
+
+const DPI_OPTIONS = [96, 150, 300, 600];
+
+// Panel for exporting the network as SVG or PNG with legend, labels and overlays
+function ImageExportPanel({ defaults, onExport, onClose }) {
+  const [options, setOptions] = useState({
+    format: 'png',
+    width: 1200,
+    height: 1200,
+    dpi: 300,
+    region: 'viewport',
+    background: '#ffffff',
+    transparent: false,
+    includeLegend: true,
+    includePTULabels: defaults.includePTULabels,
+    includeLabels: defaults.includeLabels,
+    includeScale: false,
+  });
+  const [isExporting, setIsExporting] = useState(false);
+  const [error, setError] = useState('');
+  const set = (key, value) => setOptions(prev => ({ ...prev, [key]: value }));
+  const checkbox = (key, label) => (
+    <label style={rowStyle}>
+      <input type="checkbox" checked={options[key]} onChange={e => set(key, e.target.checked)} />
+      {label}
+    </label>
+  );
+  const pixels = pngPixelSize(options.width, options.height, options.dpi);
+
+  const runExport = async () => {
+    const width = Math.round(Number(options.width));
+    const height = Math.round(Number(options.height));
+    if (!(width > 0 && height > 0)) {
+      setError('Width and height must be positive numbers.');
+      return;
+    }
+    setError('');
+    setIsExporting(true);
+    try {
+      await onExport({ ...options, width, height });
+    } catch (err) {
+      console.error('[ImageExportPanel] Export failed:', err);
+      setError(err.message);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div style={{ width: 260, background: '#fff', border: '1px solid #ccc', borderRadius: 4, padding: '8px', fontSize: '11px', boxShadow: '0 2px 6px rgba(0,0,0,0.15)' }}>
+      <strong style={{ display: 'block', marginBottom: 6 }}>Export image</strong>
+      <label style={rowStyle}>
+        Format:
+        <select value={options.format} onChange={e => set('format', e.target.value)} style={{ fontSize: 11 }}>
+          {IMAGE_FORMATS.map(f => (
+            <option key={f.value} value={f.value}>{f.label}</option>
+          ))}
+        </select>
+      </label>
+      <label style={rowStyle}>
+        Size (px):
+        <input type="number" min="1" value={options.width} onChange={e => set('width', e.target.value)} style={numberStyle} />
+        ×
+        <input type="number" min="1" value={options.height} onChange={e => set('height', e.target.value)} style={numberStyle} />
+      </label>
+      {options.format === 'png' && (
+        <label style={rowStyle}>
+          DPI:
+          <select value={options.dpi} onChange={e => set('dpi', Number(e.target.value))} style={{ fontSize: 11 }}>
+            {DPI_OPTIONS.map(dpi => (
+              <option key={dpi} value={dpi}>{dpi}</option>
+            ))}
+          </select>
+          <span style={{ color: '#666' }}>{pixels.width} × {pixels.height} px</span>
+        </label>
+      )}
+      <label style={rowStyle}>
+        <input type="radio" checked={options.region === 'viewport'} onChange={() => set('region', 'viewport')} />
+        Current view
+        <input type="radio" checked={options.region === 'graph'} onChange={() => set('region', 'graph')} />
+        Whole graph
+      </label>
+      <label style={rowStyle}>
+        Background:
+        <input type="color" value={options.background} disabled={options.transparent} onChange={e => set('background', e.target.value)} />
+        <input type="checkbox" checked={options.transparent} onChange={e => set('transparent', e.target.checked)} />
+        Transparent
+      </label>
+      {checkbox('includeLegend', 'Legend')}
+      {checkbox('includePTULabels', 'PTU labels')}
+      {checkbox('includeLabels', 'Highlighted node labels')}
+      {checkbox('includeScale', 'Scale bar')}
+      {error && <div style={{ color: '#c0392b', marginBottom: 6 }}>{error}</div>}
+      <div style={{ display: 'flex', gap: 8 }}>
+        <button onClick={runExport} disabled={isExporting} style={buttonStyle}>
+          {isExporting ? 'Exporting...' : 'Export'}
+        </button>
+        <button onClick={onClose} style={buttonStyle}>Close</button>
+      </div>
+    </div>
+  );
+}
+
+export default ImageExportPanel;
@@ -0,0 +1,48 @@
+import { useState } from 'react';
+import { buttonStyle } from './ui.js';
+
+const rowStyle = { display: 'flex', alignItems: 'center', gap: 6, marginBottom: 6 };
+
+// ForceAtlas2 controls: start/stop/reset, gravity and scaling, pinning and saving coordinates
+function LayoutPanel({ settings, onSettingsChange, status, hasCoordinates, onStart, onStop, onReset, onSave, onClose }) {
+  const [savedCount, setSavedCount] = useState(null);
+  const set = (key, value) => onSettingsChange({ ...settings, [key]: value });
+  const slider = (key, label, min, max, stepSize) => (
+    <label style={rowStyle}>
+      <span style={{ width: 50 }}>{label}:</span>
+      <input type="range" min={min} max={max} step={stepSize} value={settings[key]} onChange={e => set(key, Number(e.target.value))} style={{ flex: 1 }} />
+      <span style={{ width: 32, textAlign: 'right' }}>{settings[key]}</span>
+    </label>
+  );
+
+  return (
+    <div style={{ width: 260, background: '#fff', border: '1px solid #ccc', borderRadius: 4, padding: '8px', fontSize: '11px', boxShadow: '0 2px 6px rgba(0,0,0,0.15)' }}>
+      <strong style={{ display: 'block', marginBottom: 6 }}>Layout (ForceAtlas2)</strong>
+      {!hasCoordinates && (
+        <div style={{ marginBottom: 6, color: '#666' }}>This dataset has no x/y coordinates, so nodes start from random positions.</div>
+      )}
+      {slider('gravity', 'Gravity', 0, 2, 0.05)}
+      {slider('scalingRatio', 'Scaling', 1, 50, 1)}
+      <label style={{ ...rowStyle, opacity: hasCoordinates ? 1 : 0.5 }}>
+        <input type="checkbox" checked={settings.pinExisting && hasCoordinates} disabled={!hasCoordinates} onChange={e => set('pinExisting', e.target.checked)} />
+        Pin nodes that already have coordinates
+      </label>
+      <div style={{ marginBottom: 6, color: '#666' }}>
+        {status.error
+          ? <span style={{ color: '#c0392b' }}>{status.error}</span>
+          : `${status.running ? 'Running' : 'Stopped'} · ${status.iterations} iterations`}
+      </div>
+      <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+        <button onClick={status.running ? onStop : onStart} style={buttonStyle}>{status.running ? 'Stop' : 'Start'}</button>
+        <button onClick={onReset} style={buttonStyle}>Reset</button>
+        <button onClick={() => setSavedCount(onSave())} disabled={status.running} style={buttonStyle} title="Store the positions as the x/y columns used by exports and sessions">
+          Save Coordinates
+        </button>
+        <button onClick={onClose} style={buttonStyle}>Close</button>
+      </div>
+      {savedCount != null && <div style={{ marginTop: 6, color: '#666' }}>Saved coordinates for {savedCount} nodes.</div>}
+    </div>
+  );
+}
+
+export default LayoutPanel;
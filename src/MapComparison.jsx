@@ -0,0 +1,180 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { featureKey, featureSegments, formatPosition, sharedFeatureLinks, tickStep } from './plasmidMap.js';
+import { formatWeight } from './edgeStyle.js';
+import { buttonStyle } from './ui.js';
+
+const LABEL_WIDTH = 120;
+const LANE = 9;
+// Annotation lane, + strand, axis, − strand
+const ROW_HEIGHT = 3 * LANE + 14;
+const RIBBON_GAP = 60;
+
+// Compare mode: two to four plasmid maps stacked in linear layout on a shared bp scale, with ribbons
+// joining features of the same gene family (or name) in neighboring rows
+function MapComparison({ entries, edges, onZoom, onClose }) {
+  const containerRef = useRef(null);
+  const [width, setWidth] = useState(800);
+  const [hovered, setHovered] = useState(null); // { feature, id, x, y } for the tooltip
+  const [hoveredKey, setHoveredKey] = useState(null);
+
+  useEffect(() => {
+    const el = containerRef.current;
+    if (!el) return;
+    const observer = new ResizeObserver(([entry]) => setWidth(entry.contentRect.width));
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  const loaded = entries?.filter(entry => entry.map) ?? [];
+  const maxLength = Math.max(1, ...loaded.map(entry => entry.map.length));
+  const trackWidth = Math.max(100, width - LABEL_WIDTH - 16);
+  const toX = (bp) => LABEL_WIDTH + (bp / maxLength) * trackWidth;
+  const rowTop = (i) => 8 + i * (ROW_HEIGHT + RIBBON_GAP);
+  const axisY = (i) => rowTop(i) + 2 * LANE + 7;
+
+  // Lane of a feature: the most frequent category is split by strand, everything else goes on top
+  const laneY = (entry, i, feature) => {
+    if (feature.category !== entry.map.categories[0]?.name) return rowTop(i);
+    return feature.strand === 1 ? rowTop(i) + LANE + 2 : axisY(i) + 3;
+  };
+
+  const weightBetween = (a, b) => {
+    const edge = edges.find(e => (e.source === a && e.target === b) || (e.source === b && e.target === a));
+    return edge ? edge.weight : undefined;
+  };
+
+  // Ribbons between each row and the next
+  const links = useMemo(() => {
+    const rows = entries ?? [];
+    return rows.slice(0, -1).map((entry, i) => (entry.map && rows[i + 1].map ? sharedFeatureLinks(entry.map, rows[i + 1].map) : []));
+  }, [entries]);
+
+  const ribbonPath = (entry, i, link) => {
+    const next = entries[i + 1];
+    const [a0, a1] = featureSegments(link.a, entry.map.length)[0];
+    const [b0, b1] = featureSegments(link.b, next.map.length)[0];
+    const top = rowTop(i) + ROW_HEIGHT, bottom = rowTop(i + 1) - 2;
+    const mid = (top + bottom) / 2;
+    return `M${toX(a0)},${top}L${toX(a1)},${top}C${toX(a1)},${mid} ${toX(b1)},${mid} ${toX(b1)},${bottom}`
+      + `L${toX(b0)},${bottom}C${toX(b0)},${mid} ${toX(a0)},${mid} ${toX(a0)},${top}Z`;
+  };
+
+  const hoverFeature = (feature, id, e) => {
+    const el = containerRef.current;
+    const rect = el.getBoundingClientRect();
+    setHovered({ feature, id, x: e.clientX - rect.left, y: e.clientY - rect.top + el.scrollTop });
+    setHoveredKey(featureKey(feature));
+  };
+
+  const leave = () => {
+    setHovered(null);
+    setHoveredKey(null);
+  };
+
+  const rowCount = entries?.length ?? 0;
+  const height = rowTop(rowCount) - RIBBON_GAP + 24;
+  const ticks = [];
+  for (let bp = 0, step = tickStep(maxLength, Math.max(3, Math.round(trackWidth / 90))); bp <= maxLength; bp += step) ticks.push(bp);
+
+  // Pairs that aren't next to each other in the stack, so their weights are listed in the header
+  const otherPairs = edges.filter(e => {
+    const ids = (entries ?? []).map(entry => entry.id);
+    return Math.abs(ids.indexOf(e.source) - ids.indexOf(e.target)) > 1;
+  });
+
+  return (
+    <div
+      ref={containerRef}
+      style={{ position: 'absolute', left: 10, right: 250, bottom: 10, zIndex: 25, maxHeight: '70vh', overflowY: 'auto', background: '#fff', border: '1px solid #ccc', borderRadius: 4, fontSize: 11, boxShadow: '0 2px 6px rgba(0,0,0,0.15)' }}
+    >
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, padding: '6px 8px', borderBottom: '1px solid #eee' }}>
+        <strong>Map comparison</strong>
+        <span style={{ flex: 1, color: '#666' }}>
+          {otherPairs.map(e => `${e.source} – ${e.target}: ${e.weight != null ? formatWeight(e.weight) : 'linked'}`).join(' · ')}
+        </span>
+        <button onClick={onClose} style={buttonStyle}>Close</button>
+      </div>
+      {!entries && <div style={{ padding: 12, color: '#666' }}>Loading maps...</div>}
+      {entries && (
+        <svg width={width} height={height} style={{ display: 'block' }}>
+          {links.map((rowLinks, i) => {
+            const entry = entries[i];
+            const weight = weightBetween(entry.id, entries[i + 1].id);
+            const labelY = rowTop(i) + ROW_HEIGHT + RIBBON_GAP / 2;
+            return (
+              <g key={`gap-${i}`}>
+                {rowLinks.map((link, j) => {
+                  const active = !hoveredKey || hoveredKey === link.key;
+                  return (
+                    <path
+                      key={j}
+                      d={ribbonPath(entry, i, link)}
+                      fill={link.a.color}
+                      opacity={hoveredKey ? (active ? 0.6 : 0.05) : 0.22}
+                      onMouseEnter={() => setHoveredKey(link.key)}
+                      onMouseLeave={() => setHoveredKey(null)}
+                    >
+                      <title>{link.a.family || link.a.name}</title>
+                    </path>
+                  );
+                })}
+                <text x={4} y={labelY - 4} fill="#333">
+                  {weight === undefined ? 'no edge' : `edge weight ${weight != null ? formatWeight(weight) : '–'}`}
+                </text>
+                <text x={4} y={labelY + 9} fill="#666">{rowLinks.length} shared feature{rowLinks.length === 1 ? '' : 's'}</text>
+              </g>
+            );
+          })}
+          {entries.map((entry, i) => (
+            <g key={entry.id}>
+              <text x={4} y={axisY(i) - 4} fontWeight="bold" style={{ cursor: 'pointer' }} onClick={() => onZoom(entry.id)}>
+                {entry.id.length > 18 ? `${entry.id.slice(0, 17)}…` : entry.id}
+                <title>{`${entry.id} (click to zoom to the node)`}</title>
+              </text>
+              {entry.map && <text x={4} y={axisY(i) + 10} fill="#666">{entry.map.length.toLocaleString()} bp</text>}
+              {entry.error && <text x={LABEL_WIDTH} y={axisY(i) + 4} fill="#c0392b">{entry.error}</text>}
+              {entry.map && (
+                <>
+                  <line x1={toX(0)} x2={toX(entry.map.length)} y1={axisY(i)} y2={axisY(i)} stroke="#999" />
+                  {entry.map.features.map((feature, j) => {
+                    const y = laneY(entry, i, feature);
+                    const key = featureKey(feature);
+                    return (
+                      <path
+                        key={j}
+                        d={featureSegments(feature, entry.map.length).map(([start, stop]) => {
+                          const x0 = toX(start);
+                          const w = Math.max(1, toX(stop) - x0);
+                          return `M${x0},${y}h${w}v${LANE}h${-w}Z`;
+                        }).join('')}
+                        fill={feature.color}
+                        opacity={hoveredKey && key !== hoveredKey ? 0.25 : 1}
+                        stroke={hovered?.feature === feature ? '#000' : 'none'}
+                        onMouseEnter={e => hoverFeature(feature, entry.id, e)}
+                        onMouseLeave={leave}
+                      />
+                    );
+                  })}
+                </>
+              )}
+            </g>
+          ))}
+          {ticks.map(bp => (
+            <text key={bp} x={toX(bp)} y={height - 6} fontSize={9} fill="#666" textAnchor="middle">{formatPosition(bp)}</text>
+          ))}
+        </svg>
+      )}
+      {hovered && (
+        <div style={{ position: 'absolute', left: Math.min(hovered.x + 12, width - 190), top: hovered.y + 12, width: 180, background: 'rgba(255,255,255,0.97)', border: '1px solid #ccc', padding: 4, pointerEvents: 'none' }}>
+          <div style={{ fontWeight: 'bold' }}>{hovered.feature.name || hovered.feature.type}</div>
+          <div style={{ color: '#666' }}>
+            {hovered.id} · {hovered.feature.category} · {hovered.feature.start.toLocaleString()}–{hovered.feature.stop.toLocaleString()} ({hovered.feature.strand === 1 ? '+' : '−'})
+          </div>
+          {hovered.feature.family && <div>family: {hovered.feature.family}</div>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MapComparison;
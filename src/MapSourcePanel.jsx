@@ -0,0 +1,53 @@
+import { useState } from 'react';
+import { DEFAULT_MAP_SOURCE } from './mapSource.js';
+import { buttonStyle } from './ui.js';
+
+// Where the genome map reads plasmid JSON from: a URL template / directory, or a folder picked from disk
+function MapSourcePanel({ datasetName, source, folder, onApply, onChooseFolder, onClearFolder, onClose }) {
+  const [draft, setDraft] = useState(source);
+
+  return (
+    <div style={{ width: 260, background: '#fff', border: '1px solid #ccc', borderRadius: 4, padding: '8px', fontSize: '11px', boxShadow: '0 2px 6px rgba(0,0,0,0.15)' }}>
+      <strong style={{ display: 'block', marginBottom: 6 }}>Genome map source</strong>
+      <div style={{ marginBottom: 6, color: '#666' }}>
+        URL template with <code>{'{id}'}</code>, or a directory of <code>&lt;id&gt;.json</code> files (absolute or relative to this app).
+        Remembered for {datasetName ? <em>{datasetName}</em> : 'this dataset'}.
+      </div>
+      <input
+        type="text"
+        value={draft}
+        onChange={e => setDraft(e.target.value)}
+        onKeyDown={e => { if (e.key === 'Enter') onApply(draft.trim()); }}
+        style={{ width: '100%', boxSizing: 'border-box', fontSize: 11, marginBottom: 6 }}
+      />
+      <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', marginBottom: 6 }}>
+        <button onClick={() => onApply(draft.trim())} disabled={!draft.trim() || draft.trim() === source} style={buttonStyle}>Apply</button>
+        <button onClick={() => { setDraft(DEFAULT_MAP_SOURCE); onApply(DEFAULT_MAP_SOURCE); }} style={buttonStyle}>Default</button>
+        <button onClick={onClose} style={buttonStyle}>Close</button>
+      </div>
+      <div style={{ borderTop: '1px solid #eee', paddingTop: 6 }}>
+        {folder ? (
+          <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+            <span style={{ flex: 1 }}>Using folder <em>{folder.name}</em> ({folder.files.size} JSON files)</span>
+            <button onClick={onClearFolder} style={buttonStyle}>Stop</button>
+          </div>
+        ) : (
+          <label style={{ ...buttonStyle, display: 'inline-block' }} title="Read map JSON files from a folder on this computer (until the page is reloaded)">
+            Use Local Folder...
+            <input
+              type="file"
+              webkitdirectory=""
+              style={{ display: 'none' }}
+              onChange={e => {
+                if (e.target.files?.length) onChooseFolder(Array.from(e.target.files));
+                e.target.value = '';
+              }}
+            />
+          </label>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default MapSourcePanel;
@@ -0,0 +1,66 @@
+import { useState } from 'react';
+import { buttonStyle } from './ui.js';
+
+const METRIC_DESCRIPTIONS = {
+  net_degree: 'number of neighbors',
+  net_weighted_degree: 'sum of edge weights',
+  net_betweenness: 'share of shortest paths through the node (bridges)',
+  net_closeness: 'inverse mean hop distance to reachable nodes',
+  net_clustering: 'share of neighbor pairs that are linked',
+  net_component: 'connected component (CC1 = largest)',
+};
+
+// Popover for computing centrality metrics as node columns
+function MetricsPanel({ onRun, onColorBy, onClose }) {
+  const [isRunning, setIsRunning] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [error, setError] = useState('');
+  const [result, setResult] = useState(null);
+
+  const run = async () => {
+    setError('');
+    setProgress(0);
+    setIsRunning(true);
+    try {
+      setResult(await onRun({ onProgress: setProgress }));
+    } catch (err) {
+      console.error('[MetricsPanel] Network metrics failed:', err);
+      setError(err.message);
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  return (
+    <div style={{ width: 260, background: '#fff', border: '1px solid #ccc', borderRadius: 4, padding: '8px', fontSize: '11px', boxShadow: '0 2px 6px rgba(0,0,0,0.15)' }}>
+      <strong style={{ display: 'block', marginBottom: 6 }}>Network metrics</strong>
+      <div style={{ marginBottom: 8, color: '#666' }}>
+        Adds degree, weighted degree, betweenness, closeness, clustering coefficient and connected component
+        as columns, computed over all edges.
+      </div>
+      <div style={{ display: 'flex', gap: 8, marginBottom: 6 }}>
+        <button onClick={run} disabled={isRunning} style={buttonStyle}>
+          {isRunning ? `Computing... ${Math.round(progress * 100)}%` : 'Compute'}
+        </button>
+        <button onClick={onClose} style={buttonStyle}>Close</button>
+      </div>
+      {error && <div style={{ color: '#c0392b', marginBottom: 6 }}>{error}</div>}
+      {result && (
+        <>
+          {result.columns.map(column => (
+            <div key={column} style={{ marginBottom: 3 }}>
+              <span onClick={() => onColorBy(column)} style={{ cursor: 'pointer', textDecoration: 'underline' }} title="Color by this column">{column}</span>
+              <span style={{ color: '#666' }}> – {METRIC_DESCRIPTIONS[column]}</span>
+            </div>
+          ))}
+          <div style={{ marginTop: 6, color: '#666' }}>
+            {result.componentCount} connected component{result.componentCount === 1 ? '' : 's'}.
+            {result.sampled && ` Betweenness and closeness are estimated from ${result.sampled} sampled source nodes.`}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default MetricsPanel;
@@ -0,0 +1,93 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { formatWeight } from './edgeStyle.js';
+import { buttonStyle } from './ui.js';
+
+const rowStyle = { display: 'flex', alignItems: 'center', gap: 6, marginBottom: 6 };
+const inputStyle = { flex: 1, minWidth: 0, fontSize: 11 };
+
+// Path mode: pick a source and a target (typed, or the node last clicked or searched for) and list
+// the shortest path between them with each node's metadata
+function PathPanel({ highlightedNode, hasWeights, rows, result, onFind, onZoom, onClear, onClose }) {
+  const [source, setSource] = useState(result?.source ?? '');
+  const [target, setTarget] = useState(result?.target ?? '');
+  const [weighted, setWeighted] = useState(result?.weighted ?? false);
+
+  // Clicking or searching fills the source first, then the target; each node is only used once,
+  // so editing the fields doesn't pull the last clicked node back in
+  const usedNodeRef = useRef(null);
+  useEffect(() => {
+    if (!highlightedNode || usedNodeRef.current === highlightedNode) return;
+    usedNodeRef.current = highlightedNode;
+    if (!source) setSource(highlightedNode);
+    else if (!target && highlightedNode !== source) setTarget(highlightedNode);
+  }, [highlightedNode, source, target]);
+
+  const metadataById = useMemo(() => {
+    const map = new Map();
+    rows.forEach(row => map.set(String(row.id), row));
+    return map;
+  }, [rows]);
+
+  const describe = (node) => Object.entries(metadataById.get(node) ?? {})
+    .filter(([key, value]) => key !== 'id' && value != null && value !== '')
+    .map(([key, value]) => `${key}: ${value}`)
+    .join(' · ');
+
+  const clear = () => {
+    setSource('');
+    setTarget('');
+    onClear();
+  };
+
+  return (
+    <div style={{ width: 300, background: '#fff', border: '1px solid #ccc', borderRadius: 4, padding: '8px', fontSize: '11px', boxShadow: '0 2px 6px rgba(0,0,0,0.15)' }}>
+      <strong style={{ display: 'block', marginBottom: 6 }}>Shortest path</strong>
+      <div style={rowStyle}>
+        From:
+        <input type="text" value={source} onChange={e => setSource(e.target.value.trim())} placeholder="click or search a node" style={inputStyle} />
+        <button onClick={() => setSource(highlightedNode ?? '')} disabled={!highlightedNode} style={buttonStyle} title="Use the highlighted node">Use</button>
+      </div>
+      <div style={rowStyle}>
+        To:
+        <input type="text" value={target} onChange={e => setTarget(e.target.value.trim())} placeholder="click or search a node" style={inputStyle} />
+        <button onClick={() => setTarget(highlightedNode ?? '')} disabled={!highlightedNode} style={buttonStyle} title="Use the highlighted node">Use</button>
+      </div>
+      <label style={rowStyle}>
+        <input type="radio" checked={!weighted} onChange={() => setWeighted(false)} />
+        Fewest hops
+        <input type="radio" checked={weighted} disabled={!hasWeights} onChange={() => setWeighted(true)} />
+        Weighted (1/weight)
+      </label>
+      <div style={{ display: 'flex', gap: 8, marginBottom: 6 }}>
+        <button onClick={() => onFind({ source, target, weighted })} disabled={!source || !target} style={buttonStyle}>Find Path</button>
+        <button onClick={() => { setSource(target); setTarget(source); }} style={buttonStyle}>Swap</button>
+        <button onClick={clear} style={buttonStyle}>Clear</button>
+        <button onClick={onClose} style={buttonStyle}>Close</button>
+      </div>
+      {result?.error && <div style={{ color: '#c0392b' }}>{result.error}</div>}
+      {result?.nodes && (
+        <>
+          <div style={{ marginBottom: 4 }}>
+            {result.nodes.length - 1} step{result.nodes.length === 2 ? '' : 's'}
+            {result.weighted && ` · cost ${formatWeight(result.cost)}`}
+          </div>
+          <div style={{ maxHeight: 260, overflowY: 'auto', border: '1px solid #eee' }}>
+            {result.nodes.map((node, i) => (
+              <div key={node} style={{ padding: '2px 6px', borderBottom: '1px solid #f3f3f3' }}>
+                {i > 0 && result.edges[i - 1].attributes.weight != null && (
+                  <div style={{ color: '#999' }}>↓ weight {formatWeight(Number(result.edges[i - 1].attributes.weight))}</div>
+                )}
+                <div onClick={() => onZoom(node)} style={{ cursor: 'pointer', fontWeight: 'bold' }} title="Zoom to node">
+                  {i + 1}. {node}
+                </div>
+                <div style={{ color: '#666' }}>{describe(node)}</div>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default PathPanel;
@@ -0,0 +1,292 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { tickStep, formatPosition, featureSegments } from './plasmidMap.js';
+import { buttonStyle } from './ui.js';
+
+const mapButtonStyle = { ...buttonStyle, padding: '1px 8px' };
+
+const MIN_SIZE = 240;
+const MAX_ZOOM = 50;
+// Space between tracks, in pixels
+const TRACK_GAP = 3;
+
+// 0 rad at the top, clockwise, like CGView
+const polar = (cx, cy, r, angle) => [cx + r * Math.sin(angle), cy - r * Math.cos(angle)];
+
+const arcPath = (cx, cy, r0, r1, a0, a1) => {
+  const large = a1 - a0 > Math.PI ? 1 : 0;
+  const [x0, y0] = polar(cx, cy, r1, a0);
+  const [x1, y1] = polar(cx, cy, r1, a1);
+  const [x2, y2] = polar(cx, cy, r0, a1);
+  const [x3, y3] = polar(cx, cy, r0, a0);
+  return `M${x0},${y0}A${r1},${r1} 0 ${large} 1 ${x1},${y1}L${x2},${y2}A${r0},${r0} 0 ${large} 0 ${x3},${y3}Z`;
+};
+
+// Span of a feature in bp; start > stop means it wraps around the origin
+const featureSpan = (feature, length) => (feature.stop >= feature.start ? feature.stop - feature.start : length - feature.start + feature.stop);
+
+/**
+ * Circular or linear plasmid map drawn as SVG from parseMapJson() output. Scroll to zoom, drag to pan,
+ * drag the top-right corner to resize. Hovering a feature or a legend category reports it through
+ * onAnnotationHover ({ name, category } or null) so the network can highlight plasmids sharing it.
+ */
+function PlasmidMap({ id, map, annotationStatus, onAnnotationHover, onClose }) {
+  const [layout, setLayout] = useState('circular');
+  const [size, setSize] = useState({ width: 356, height: 400 });
+  const [view, setView] = useState({ k: 1, x: 0, y: 0 });
+  const [hovered, setHovered] = useState(null); // { feature, x, y } for the tooltip
+  const [hoveredCategory, setHoveredCategory] = useState(null);
+  const svgRef = useRef(null);
+  const containerRef = useRef(null);
+  const dragRef = useRef(null);
+
+  // New plasmid or layout: back to the full view
+  useEffect(() => {
+    setView({ k: 1, x: 0, y: 0 });
+    setHovered(null);
+    setHoveredCategory(null);
+  }, [map, layout]);
+
+  const svgHeight = size.height - 64;
+  const { width } = size;
+
+  // Track per category: the most frequent one (track 0) is split by strand, every other category gets its own outer track
+  const trackOf = useMemo(() => {
+    const tracks = new Map();
+    map.categories.forEach((category, i) => tracks.set(category.name, i));
+    return tracks;
+  }, [map]);
+  const extraTracks = Math.max(0, map.categories.length - 1);
+
+  const geometry = useMemo(() => {
+    if (layout === 'circular') {
+      const radius = Math.min(width, svgHeight) / 2;
+      const thickness = Math.max(5, radius * 0.07);
+      const backbone = radius - 22 - extraTracks * (thickness + TRACK_GAP) - thickness - TRACK_GAP;
+      return { radius, thickness, backbone: Math.max(backbone, radius * 0.35) };
+    }
+    const thickness = Math.max(6, Math.min(14, svgHeight / (6 + 2 * extraTracks)));
+    return { thickness, axisY: svgHeight / 2 + (extraTracks * (thickness + TRACK_GAP)) / 2, left: 16, right: width - 16 };
+  }, [layout, width, svgHeight, extraTracks]);
+
+  const { length } = map;
+  // Linear layout zooms along the sequence only
+  const toX = (bp) => geometry.left + (bp / length) * (geometry.right - geometry.left) * view.k + view.x;
+
+  const featureShape = (feature) => {
+    const track = trackOf.get(feature.category);
+    const { thickness } = geometry;
+    if (layout === 'circular') {
+      const { backbone } = geometry;
+      let r0;
+      if (track === 0) r0 = feature.strand === 1 ? backbone + TRACK_GAP : backbone - TRACK_GAP - thickness;
+      else r0 = backbone + TRACK_GAP + track * (thickness + TRACK_GAP);
+      const a0 = (feature.start / length) * 2 * Math.PI;
+      const span = Math.min(Math.max((featureSpan(feature, length) / length) * 2 * Math.PI, 0.004), 2 * Math.PI - 1e-4);
+      return arcPath(width / 2, svgHeight / 2, r0, r0 + thickness, a0, a0 + span);
+    }
+    const { axisY } = geometry;
+    let y;
+    if (track === 0) y = feature.strand === 1 ? axisY - TRACK_GAP - thickness : axisY + TRACK_GAP;
+    else y = axisY - TRACK_GAP - (track + 1) * (thickness + TRACK_GAP);
+    return featureSegments(feature, length).map(([start, stop]) => {
+      const x0 = toX(start);
+      const w = Math.max(1, toX(stop) - x0);
+      return `M${x0},${y}h${w}v${thickness}h${-w}Z`;
+    }).join('');
+  };
+
+  const ticks = useMemo(() => {
+    const step = tickStep(length / view.k, layout === 'circular' ? 8 : Math.max(3, Math.round(width / 90)));
+    const positions = [];
+    for (let bp = 0; bp < length; bp += step) positions.push(bp);
+    return positions;
+  }, [length, layout, view.k, width]);
+
+  const zoomAt = (factor, px, py) => {
+    setView(prev => {
+      const k = Math.min(MAX_ZOOM, Math.max(1, prev.k * factor));
+      const ratio = k / prev.k;
+      if (k === 1) return { k: 1, x: 0, y: 0 };
+      return layout === 'circular'
+        ? { k, x: px - (px - prev.x) * ratio, y: py - (py - prev.y) * ratio }
+        : { k, x: px - geometry.left - (px - geometry.left - prev.x) * ratio, y: 0 };
+    });
+  };
+
+  // Non-passive wheel listener so scrolling zooms the map instead of the page
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg) return;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const rect = svg.getBoundingClientRect();
+      zoomAt(e.deltaY < 0 ? 1.2 : 1 / 1.2, e.clientX - rect.left, e.clientY - rect.top);
+    };
+    svg.addEventListener('wheel', onWheel, { passive: false });
+    return () => svg.removeEventListener('wheel', onWheel);
+  });
+
+  const startDrag = (e, kind) => {
+    e.preventDefault();
+    dragRef.current = { kind, x: e.clientX, y: e.clientY, view, size };
+    const onMove = (moveEvent) => {
+      const drag = dragRef.current;
+      const dx = moveEvent.clientX - drag.x, dy = moveEvent.clientY - drag.y;
+      if (drag.kind === 'resize') {
+        // Anchored bottom-left, so the top-right corner drags outwards
+        setSize({ width: Math.max(MIN_SIZE, drag.size.width + dx), height: Math.max(MIN_SIZE, drag.size.height - dy) });
+      } else if (drag.view.k > 1) {
+        setView({ ...drag.view, x: drag.view.x + dx, y: layout === 'circular' ? drag.view.y + dy : 0 });
+      }
+    };
+    const onUp = () => {
+      dragRef.current = null;
+      window.removeEventListener('mousemove', onMove);
+      window.removeEventListener('mouseup', onUp);
+    };
+    window.addEventListener('mousemove', onMove);
+    window.addEventListener('mouseup', onUp);
+  };
+
+  const moveTooltip = (feature, e) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    setHovered({ feature, x: e.clientX - rect.left, y: e.clientY - rect.top });
+  };
+
+  const hoverFeature = (feature, e) => {
+    moveTooltip(feature, e);
+    onAnnotationHover({ name: feature.name, category: feature.category });
+  };
+
+  const leaveFeature = () => {
+    setHovered(null);
+    onAnnotationHover(null);
+  };
+
+  const hoverCategory = (category) => {
+    setHoveredCategory(category);
+    onAnnotationHover(category ? { category } : null);
+  };
+
+  const isFaded = (feature) =>
+    (hoveredCategory && feature.category !== hoveredCategory) || (hovered && hovered.feature !== feature);
+
+  const cx = width / 2, cy = svgHeight / 2;
+
+  return (
+    <div
+      ref={containerRef}
+      style={{ position: 'absolute', bottom: 10, left: 10, width: size.width, height: size.height, zIndex: 15, background: '#fff', border: '1px solid #ccc', fontSize: 11, boxShadow: '0 2px 6px rgba(0,0,0,0.15)', display: 'flex', flexDirection: 'column' }}
+    >
+      <div style={{ display: 'flex', alignItems: 'center', gap: 4, padding: '4px 6px', borderBottom: '1px solid #eee' }}>
+        <strong style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={id}>{id}</strong>
+        <button onClick={() => setLayout(layout === 'circular' ? 'linear' : 'circular')} style={mapButtonStyle}>
+          {layout === 'circular' ? 'Linear' : 'Circular'}
+        </button>
+        <button onClick={() => zoomAt(1.5, width / 2, svgHeight / 2)} style={mapButtonStyle} title="Zoom in">+</button>
+        <button onClick={() => zoomAt(1 / 1.5, width / 2, svgHeight / 2)} style={mapButtonStyle} title="Zoom out">−</button>
+        <button onClick={() => setView({ k: 1, x: 0, y: 0 })} style={mapButtonStyle} title="Reset zoom">Fit</button>
+        <button onClick={onClose} style={mapButtonStyle} title="Hide the map">×</button>
+        <div
+          onMouseDown={e => startDrag(e, 'resize')}
+          style={{ position: 'absolute', top: -4, right: -4, width: 10, height: 10, cursor: 'nesw-resize', background: '#ccc', borderRadius: 2 }}
+          title="Drag to resize"
+        />
+      </div>
+      <svg
+        ref={svgRef}
+        width={width}
+        height={svgHeight}
+        onMouseDown={e => startDrag(e, 'pan')}
+        style={{ display: 'block', cursor: view.k > 1 ? 'grab' : 'default', userSelect: 'none' }}
+      >
+        {layout === 'circular' ? (
+          <g transform={`translate(${view.x},${view.y}) scale(${view.k})`}>
+            <circle cx={cx} cy={cy} r={geometry.backbone} fill="none" stroke="#999" strokeWidth={1 / view.k} />
+            {ticks.map(bp => {
+              const angle = (bp / length) * 2 * Math.PI;
+              const [x0, y0] = polar(cx, cy, geometry.backbone - geometry.thickness - 6, angle);
+              const [x1, y1] = polar(cx, cy, geometry.backbone - geometry.thickness - 2, angle);
+              const [tx, ty] = polar(cx, cy, geometry.backbone - geometry.thickness - 14, angle);
+              return (
+                <g key={bp}>
+                  <line x1={x0} y1={y0} x2={x1} y2={y1} stroke="#999" strokeWidth={1 / view.k} />
+                  <text x={tx} y={ty} fontSize={9 / view.k} fill="#666" textAnchor="middle" dominantBaseline="middle">{formatPosition(bp)}</text>
+                </g>
+              );
+            })}
+            <text x={cx} y={cy - 6} fontSize={12} textAnchor="middle" fontWeight="bold">{map.name || id}</text>
+            <text x={cx} y={cy + 10} fontSize={11} textAnchor="middle" fill="#666">{length.toLocaleString()} bp</text>
+            {map.features.map((feature, i) => (
+              <path
+                key={i}
+                d={featureShape(feature)}
+                fill={feature.color}
+                opacity={isFaded(feature) ? 0.2 : 1}
+                stroke={hovered?.feature === feature ? '#000' : 'none'}
+                strokeWidth={1 / view.k}
+                onMouseEnter={e => hoverFeature(feature, e)}
+                onMouseMove={e => moveTooltip(feature, e)}
+                onMouseLeave={leaveFeature}
+              />
+            ))}
+          </g>
+        ) : (
+          <g>
+            <line x1={Math.max(0, toX(0))} x2={Math.min(width, toX(length))} y1={geometry.axisY} y2={geometry.axisY} stroke="#999" />
+            {ticks.map(bp => {
+              const x = toX(bp);
+              if (x < 0 || x > width) return null;
+              return (
+                <g key={bp}>
+                  <line x1={x} x2={x} y1={geometry.axisY + geometry.thickness + TRACK_GAP + 2} y2={geometry.axisY + geometry.thickness + TRACK_GAP + 6} stroke="#999" />
+                  <text x={x} y={geometry.axisY + geometry.thickness + TRACK_GAP + 16} fontSize={9} fill="#666" textAnchor="middle">{formatPosition(bp)}</text>
+                </g>
+              );
+            })}
+            {map.features.map((feature, i) => (
+              <path
+                key={i}
+                d={featureShape(feature)}
+                fill={feature.color}
+                opacity={isFaded(feature) ? 0.2 : 1}
+                stroke={hovered?.feature === feature ? '#000' : 'none'}
+                onMouseEnter={e => hoverFeature(feature, e)}
+                onMouseMove={e => moveTooltip(feature, e)}
+                onMouseLeave={leaveFeature}
+              />
+            ))}
+          </g>
+        )}
+      </svg>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '2px 8px', padding: '2px 6px', overflowY: 'auto', flex: 1 }}>
+        {map.categories.map(category => (
+          <span
+            key={category.name}
+            onMouseEnter={() => hoverCategory(category.name)}
+            onMouseLeave={() => hoverCategory(null)}
+            style={{ display: 'inline-flex', alignItems: 'center', gap: 3, cursor: 'default', fontWeight: hoveredCategory === category.name ? 'bold' : 'normal' }}
+            title="Hover to highlight plasmids carrying this annotation"
+          >
+            <span style={{ width: 9, height: 9, background: category.color, display: 'inline-block' }} />
+            {category.name} ({category.count})
+          </span>
+        ))}
+        {annotationStatus && <span style={{ color: '#666', width: '100%' }}>{annotationStatus}</span>}
+      </div>
+      {hovered && (
+        <div style={{ position: 'absolute', left: Math.min(hovered.x + 12, size.width - 180), top: Math.max(0, hovered.y - 10), width: 170, background: 'rgba(255,255,255,0.97)', border: '1px solid #ccc', padding: 4, pointerEvents: 'none', zIndex: 1 }}>
+          <div style={{ fontWeight: 'bold' }}>{hovered.feature.name || hovered.feature.type}</div>
+          <div style={{ color: '#666' }}>
+            {hovered.feature.category} · {hovered.feature.start.toLocaleString()}–{hovered.feature.stop.toLocaleString()} ({hovered.feature.strand === 1 ? '+' : '−'})
+          </div>
+          {hovered.feature.details.slice(0, 6).map(([key, value]) => (
+            <div key={key} style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{key}: {value}</div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PlasmidMap;
@@ -0,0 +1,37 @@
+import { buttonStyle } from './ui.js';
+
+const MAX_LISTED = 100;
+
+// Nodes matching the metadata query in the search box, with a filter toggle and hand-off to the selection
+function QueryResultsPanel({ matches, totalNodes, filter, onFilterChange, onSelect, onZoom, onClear }) {
+  const listed = [...matches].slice(0, MAX_LISTED);
+  return (
+    <div style={{ width: 260, background: '#fff', border: '1px solid #ccc', borderRadius: 4, padding: '8px', fontSize: '11px', boxShadow: '0 2px 6px rgba(0,0,0,0.15)' }}>
+      <strong style={{ display: 'block', marginBottom: 6 }}>
+        Query: {matches.size} of {totalNodes} nodes match
+      </strong>
+      <label style={{ display: 'flex', alignItems: 'center', gap: 6, marginBottom: 6 }}>
+        <input type="checkbox" checked={filter} onChange={e => onFilterChange(e.target.checked)} />
+        Hide non-matching nodes
+      </label>
+      {listed.length > 0 && (
+        <div style={{ maxHeight: 160, overflowY: 'auto', border: '1px solid #eee', marginBottom: 8 }}>
+          {listed.map(id => (
+            <div key={id} onClick={() => onZoom(id)} style={{ padding: '1px 6px', cursor: 'pointer' }} title="Zoom to node">
+              {id}
+            </div>
+          ))}
+          {matches.size > MAX_LISTED && (
+            <div style={{ padding: '1px 6px', color: '#666' }}>…and {matches.size - MAX_LISTED} more</div>
+          )}
+        </div>
+      )}
+      <div style={{ display: 'flex', gap: 8 }}>
+        <button onClick={onSelect} disabled={matches.size === 0} style={buttonStyle}>Select Matches</button>
+        <button onClick={onClear} style={buttonStyle}>Clear</button>
+      </div>
+    </div>
+  );
+}
+
+export default QueryResultsPanel;
@@ -0,0 +1,43 @@
+import { buttonStyle } from './ui.js';
+
+const MAX_LISTED = 200;
+
+// Every ranked match for the search text, with the field that matched; can be turned into a selection
+function SearchResultsPanel({ query, results, onZoom, onSelect, onClose }) {
+  const listed = results.slice(0, MAX_LISTED);
+  return (
+    <div style={{ width: 300, background: '#fff', border: '1px solid #ccc', borderRadius: 4, padding: '8px', fontSize: '11px', boxShadow: '0 2px 6px rgba(0,0,0,0.15)' }}>
+      <strong style={{ display: 'block', marginBottom: 6 }}>
+        {results.length} nodes match "{query}"
+      </strong>
+      {listed.length > 0 && (
+        <div style={{ maxHeight: 220, overflowY: 'auto', border: '1px solid #eee', marginBottom: 8 }}>
+          {listed.map(result => (
+            <div
+              key={result.node}
+              onClick={() => onZoom(result.node)}
+              style={{ padding: '1px 6px', cursor: 'pointer', display: 'flex', justifyContent: 'space-between', gap: 8 }}
+              title="Zoom to node"
+            >
+              <span>{result.node}</span>
+              {result.field !== 'id' && (
+                <span style={{ color: '#666', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                  {result.field}: {result.value}
+                </span>
+              )}
+            </div>
+          ))}
+          {results.length > MAX_LISTED && (
+            <div style={{ padding: '1px 6px', color: '#666' }}>…and {results.length - MAX_LISTED} more</div>
+          )}
+        </div>
+      )}
+      <div style={{ display: 'flex', gap: 8 }}>
+        <button onClick={onSelect} disabled={results.length === 0} style={buttonStyle}>Select All</button>
+        <button onClick={onClose} style={buttonStyle}>Close</button>
+      </div>
+    </div>
+  );
+}
+
+export default SearchResultsPanel;
@@ -1,18 +1,84 @@
-import React, { useEffect, useRef, useState, useMemo } from 'react';
+import React, { useEffect, useRef, useState, useMemo, useCallback, useImperativeHandle } from 'react';
 import Sigma from 'sigma';
 import Graph from 'graphology';
-import { EdgeLineProgram, NodePointProgram } from 'sigma/rendering';
+import { EdgeLineProgram, EdgeRectangleProgram, NodePointProgram } from 'sigma/rendering';
+import EdgeCurveProgram from '@sigma/edge-curve';
 import { bindWebGLLayer, createContoursProgram } from '@sigma/layer-webgl';
-import iwanthue from 'iwanthue';
 import { getSequentialColors, getPalettes } from 'dicopal';
 import { flushSync } from 'react-dom';
-import { scaleLinear, scaleLog, scaleSqrt, scalePow } from 'd3-scale';
+import { scaleQuantile } from 'd3-scale';
+import { computePtuPalette, computeCategoricalPalette, computeBooleanPalette, networkEdgeList } from './networkBuilder.js';
+import { DEFAULT_EDGE_STYLE, createEdgeReducer, isDefaultEdgeStyle, formatWeight } from './edgeStyle.js';
+import { SCALE_TYPES, createUnitScale } from './scales.js';
+import { roundCamera } from './viewState.js';
+import { downloadFile } from './download.js';
+import { buildAdjacency, egoNetwork, shortestPath } from './graphTraversal.js';
+import { MAX_COMPARED_MAPS } from './plasmidMap.js';
+import { inferColumnType, isScalarType, toScalar, formatDate } from './columnTypes.js';
+import HistogramBrush from './HistogramBrush.jsx';
+import { buttonStyle } from './ui.js';
+import {
+  AUTO_PRESET,
+  CATEGORICAL_PRESETS,
+  presetSize,
+  DEFAULT_CATEGORICAL_STYLE,
+  presetColors,
+  isDefaultStyle,
+  isEmptyStyle,
+  sanitizeStyle,
+  loadCategoricalStyles,
+  saveCategoricalStyle,
+} from './categoricalPalettes.js';
+
+const EMPTY_SET = new Set();
+// Legend and selection panel buttons are a little taller than the shared pill buttons
+const legendButtonStyle = { ...buttonStyle, padding: '6px 12px' };
+// Node colors by hop distance in neighborhood mode (center, 1, 2, 3 hops); nodes outside are dimmed
+const HOP_COLORS = ['#d62728', '#ff7f0e', '#2ca02c', '#1f77b4'];
+const DIMMED_COLOR = '#e6e6e6';
+const MISSING_COLOR = '#d3d3d3';
+const PATH_EDGE_COLOR = '#d62728';
+const MAX_LISTED_NEIGHBORS = 100;
+
+// Whether an edge passes the weight filter's [min, max] range (null = every edge); edges without a weight don't
+const passesWeightRange = (attributes, range) =>
+  !range || (attributes.weight != null && attributes.weight >= range[0] && attributes.weight <= range[1]);
+// Default node radius range when sizing by a column (nodes are 0.7 otherwise)
+const DEFAULT_SIZE_RANGE = [1, 8];
+const SIZE_LEGEND_STOPS = 4;
+// Numeric legend: color binning modes and histogram resolution
+const BINNING_MODES = [
+  { value: 'continuous', label: 'Continuous' },
+  { value: 'quantile', label: 'Quantiles' },
+  { value: 'breaks', label: 'Custom breaks' },
+];
+const MAX_QUANTILE_BINS = 10;
+const HISTOGRAM_BINS = 30;
+
+// Ray casting test for a viewport point inside the lasso polygon
+const pointInPolygon = ({ x, y }, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i], b = polygon[j];
+    if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) inside = !inside;
+  }
+  return inside;
+};
 
 function SigmaNetwork({
-  edgeRows = [],
+  network = null, // prebuilt payload from networkBuilder.js
   metadataRows = [],
+  datasetName = '', // key for the categorical palettes remembered in localStorage
   colorBy = 'group',
+  colorByType = null, // 'categorical', 'numeric', 'date' or 'boolean' (see columnTypes.js); inferred when null
   highlightedNode,
+  selectedNodes = EMPTY_SET, // multi-selection (shift-click, lasso, legend)
+  setSelectedNodes,
+  onCompareSelection, // called from the selection panel to compare the selected plasmids' maps
+  queryMatches = null, // nodes matching the search box query (Set), null when no query
+  filterToQuery = false, // hide nodes that don't match the query
+  facetMatches = null, // nodes passing the filter panel's facets (Set), null when no facet is active
+  annotationMatches = null, // plasmids carrying the feature hovered in the genome map (Set), others are dimmed
   hoveredNode,
   edgeMode = 'none',
   enableDynamicEdges = true,
@@ -23,11 +89,25 @@ function SigmaNetwork({
   onNetworkReady, // callback when network is fully loaded and colored
   showLabels,
   showPTULabels,
+  edgeWeightRange = null, // [min, max] edge weight to draw, or null for all edges
+  hideIsolatedNodes = false, // hide nodes with no edge inside the weight range
+  edgeStyle = DEFAULT_EDGE_STYLE, // weight/community edge styling and curved edges
+  neighborhoodDepth = 0, // k-hop ego network around the highlighted node (0 = off)
+  path = null, // shortest path from findPath() to draw instead of the usual edges
+  sizeBy = '', // numeric column mapped to node size ('' = fixed size)
+  onLayoutStatus, // called with { running, iterations, error } while the force layout runs
+  onComputedColumns, // called with every computed column ({ column: { node: value } }) whenever one is set
+  onViewChange, // called when the camera or legend state changes (for the URL hash)
+  ref, // imperative handle for exports and view state
 }) {
   const containerRef = useRef(null);
   const sigmaInstance = useRef(null);
   const metadataRef = useRef(null);
   const allEdgesRef = useRef([]);
+  // Columns computed in the browser (e.g. Louvain), re-applied whenever the graph is rebuilt
+  const computedColumnsRef = useRef({});
+  // Same columns as state, for effects that have to rerun when one is (re)computed
+  const [computedColumns, setComputedColumns] = useState({});
   const ptuPaletteRef = useRef({});
   const networkReadyCalledRef = useRef(false); // Track if network ready has been called
   const [communities, setCommunities] = useState([]);
@@ -37,6 +117,11 @@ function SigmaNetwork({
   const [isNumeric, setIsNumeric] = useState(false);
   const numericPaletteRef = useRef([]);
   const numericDomainRef = useRef([0, 0]);
+  // Gradient legend details: the column type ('numeric' or 'date'), how many nodes have no value, the
+  // full value extent with its histogram, and the color bins ([{ color, from, to }], null when continuous)
+  const numericLegendRef = useRef({ type: 'numeric', missing: 0, extent: [0, 0], histogram: [], bins: null });
+  // Node -> value of the numeric column being colored (null when missing), for range filtering
+  const [numericValues, setNumericValues] = useState(() => new Map());
   // Sequential palette choices for numeric legend (dynamic list)
   const paletteOptions = useMemo(
     () => [...new Set(
@@ -48,24 +133,70 @@ function SigmaNetwork({
   const [sequentialPaletteName, setSequentialPaletteName] = useState('Blues');
   // Toggle to reverse numeric palette order
   const [isReversed, setIsReversed] = useState(false);
+  // Categorical palette style per column ({ preset, colors }) for datasetName, read lazily from localStorage;
+  // paletteVersion bumps whenever one changes so the legend is recolored
+  const categoricalStylesRef = useRef({ datasetName: null, styles: {} });
+  const [paletteVersion, setPaletteVersion] = useState(0);
   // Array state for legend gradient stops
   const [numericPaletteState, setNumericPaletteState] = useState([]);
   const [showLegend, setShowLegend] = useState(false);
-  // Shared style for all panel buttons
-  const buttonStyle = {
-    padding: '6px 12px',
-    background: '#fff',
-    color: '#000',
-    border: '1px solid #ccc',
-    borderRadius: 14,
-    cursor: 'pointer',
-    fontSize: '11px'
-  };
   const [scaleType, setScaleType] = useState('linear');
+  // Numeric binning mode, number of quantile bins and custom break values (in column units)
+  const [binning, setBinning] = useState('continuous');
+  const [binCount, setBinCount] = useState(5);
+  const [customBreaks, setCustomBreaks] = useState([]);
+  const [breaksText, setBreaksText] = useState('');
+  // Brushed value range [lo, hi] of the numeric column (null = all values), whether nodes outside it are
+  // hidden or dimmed, and whether the colors stretch over the brushed range only
+  const [numericRange, setNumericRange] = useState(null);
+  const [rangeMode, setRangeMode] = useState('hide');
+  const [clampToRange, setClampToRange] = useState(false);
+  // Node size mapping for sizeBy: scale type and [min, max] radius
+  const [sizeScaleType, setSizeScaleType] = useState('linear');
+  const [sizeRange, setSizeRange] = useState(DEFAULT_SIZE_RANGE);
+  // { column, domain, sizeOf, sizes: Map node -> radius } for sizeBy, null for the fixed size
+  const [sizeMapping, setSizeMapping] = useState(null);
+  // Column the current legend was computed for, and legend state waiting for that column to be colored
+  const legendColumnRef = useRef(null);
+  const communitiesRef = useRef([]);
+  const pendingLegendRef = useRef(null);
+  const onViewChangeRef = useRef(onViewChange);
+  onViewChangeRef.current = onViewChange;
+  // Selection as seen by Sigma event handlers, the lasso being drawn, and a flag that swallows
+  // the click Sigma fires when the lasso is released
+  const selectedNodesRef = useRef(selectedNodes);
+  selectedNodesRef.current = selectedNodes;
+  const lassoRef = useRef(null);
+  const lassoShapeRef = useRef(null);
+  const suppressClickRef = useRef(false);
+  // Show every edge touching the selection, or only edges between selected nodes
+  const [selectionEdgesWithin, setSelectionEdgesWithin] = useState(false);
 
   // Ref to always get latest enableDynamicEdges in callbacks
   const enableDynamicEdgesRef = useRef(enableDynamicEdges);
   useEffect(() => { enableDynamicEdgesRef.current = enableDynamicEdges; }, [enableDynamicEdges]);
+  // Same for the weight filter, which click handlers also read
+  const edgeWeightRangeRef = useRef(edgeWeightRange);
+  edgeWeightRangeRef.current = edgeWeightRange;
+  const edgePassesFilter = useCallback((attributes) => passesWeightRange(attributes, edgeWeightRangeRef.current), []);
+
+  // Nodes outside the brushed numeric range (missing values included), null without a range
+  const outOfRangeNodes = useMemo(() => {
+    if (!isNumeric || !numericRange) return null;
+    const [lo, hi] = numericRange;
+    const out = new Set();
+    numericValues.forEach((v, node) => {
+      if (v == null || v < lo || v > hi) out.add(node);
+    });
+    return out;
+  }, [isNumeric, numericRange, numericValues]);
+  // Dynamic edges skip nodes outside the range; click handlers read it through the ref
+  const outOfRangeRef = useRef(outOfRangeNodes);
+  outOfRangeRef.current = outOfRangeNodes;
+  const edgeInRange = useCallback((source, target) => {
+    const out = outOfRangeRef.current;
+    return !out || (!out.has(source) && !out.has(target));
+  }, []);
 
   // Helper to call onNetworkReady only once per network load
   const callNetworkReady = () => {
@@ -78,6 +209,16 @@ function SigmaNetwork({
     }
   };
 
+  // ForceAtlas2 worker, the node order it was given and whether it pins nodes with coordinates
+  const layoutRef = useRef(null);
+  // Latest layout positions (re-applied when the graph is rebuilt) and the positions before the first run
+  const layoutPositionsRef = useRef(null);
+  const layoutOriginRef = useRef(null);
+  const onLayoutStatusRef = useRef(onLayoutStatus);
+  onLayoutStatusRef.current = onLayoutStatus;
+  const onComputedColumnsRef = useRef(onComputedColumns);
+  onComputedColumnsRef.current = onComputedColumns;
+
   // Flag to track if this is initial data load (not just color change)
   const isInitialLoadRef = useRef(true);
 
@@ -85,7 +226,57 @@ function SigmaNetwork({
   useEffect(() => {
     networkReadyCalledRef.current = false;
     isInitialLoadRef.current = true; // Mark as initial load
-  }, [edgeRows, metadataRows]);
+    computedColumnsRef.current = {};
+    setComputedColumns({});
+    legendColumnRef.current = null;
+    layoutRef.current?.worker.terminate();
+    layoutRef.current = null;
+    layoutPositionsRef.current = null;
+    layoutOriginRef.current = null;
+  }, [network, metadataRows]);
+
+  useEffect(() => () => layoutRef.current?.worker.terminate(), []);
+
+  // Expand the typed-array edge list once per network; every edge mode draws from it
+  const allEdges = useMemo(() => (network ? networkEdgeList(network) : []), [network]);
+  allEdgesRef.current = allEdges;
+
+  const adjacency = useMemo(() => buildAdjacency(allEdges), [allEdges]);
+  const neighborhoodDepthRef = useRef(neighborhoodDepth);
+  neighborhoodDepthRef.current = neighborhoodDepth;
+
+  // Nodes within reach of the highlighted node: k hops in neighborhood mode, else direct neighbors
+  // for the info panel list
+  const neighborhood = useMemo(() => {
+    if (!highlightedNode || !adjacency.has(highlightedNode)) return null;
+    return egoNetwork(adjacency, highlightedNode, Math.max(1, neighborhoodDepth), attributes => passesWeightRange(attributes, edgeWeightRange));
+  }, [highlightedNode, adjacency, neighborhoodDepth, edgeWeightRange]);
+  const egoNodes = neighborhoodDepth > 0 ? neighborhood : null;
+  const pathNodes = useMemo(() => (path ? new Set(path.nodes) : null), [path]);
+  const pathRef = useRef(path);
+  pathRef.current = path;
+
+  // Neighbors for the info panel, nearest hop first and strongest edge first within a hop
+  const neighborList = useMemo(() => {
+    if (!neighborhood) return [];
+    return [...neighborhood.entries()]
+      .filter(([, info]) => info.hop > 0)
+      .sort(([a, x], [b, y]) => x.hop - y.hop || (y.weight ?? -Infinity) - (x.weight ?? -Infinity) || a.localeCompare(b))
+      .map(([node, info]) => ({ node, ...info }));
+  }, [neighborhood]);
+
+  // Nodes with at least one edge passing the weight filter (null when isolated nodes stay visible)
+  const connectedNodes = useMemo(() => {
+    if (!hideIsolatedNodes) return null;
+    const connected = new Set();
+    allEdges.forEach(({ source, target, attributes }) => {
+      if (passesWeightRange(attributes, edgeWeightRange)) {
+        connected.add(source);
+        connected.add(target);
+      }
+    });
+    return connected;
+  }, [allEdges, edgeWeightRange, hideIsolatedNodes]);
 
   // Build metadata map directly
   useEffect(() => {
@@ -95,13 +286,53 @@ function SigmaNetwork({
     metadataRef.current = map;
   }, [metadataRows]);
 
+  // Map the sizeBy column onto [min, max] radius; nodes without a value get the minimum
+  useEffect(() => {
+    if (!sizeBy) {
+      setSizeMapping(null);
+      return;
+    }
+    // Computed columns (metrics, communities) are read from state so a recompute resizes nodes
+    const raws = computedColumns[sizeBy]
+      ?? Object.fromEntries(Object.entries(metadataRef.current || {}).map(([node, row]) => [node, row[sizeBy]]));
+    const values = new Map();
+    Object.entries(raws).forEach(([node, raw]) => {
+      const v = Number(raw);
+      if (raw != null && raw !== '' && Number.isFinite(v)) values.set(node, v);
+    });
+    let min = Infinity, max = -Infinity;
+    values.forEach(v => {
+      if (v < min) min = v;
+      if (v > max) max = v;
+    });
+    const domain = values.size ? [min, max] : [0, 0];
+    const unit = createUnitScale(sizeScaleType, domain);
+    const [lo, hi] = sizeRange;
+    const sizeOf = v => lo + unit(v) * (hi - lo);
+    const sizes = new Map();
+    values.forEach((v, node) => sizes.set(node, sizeOf(v)));
+    setSizeMapping({ column: sizeBy, domain, sizeOf, sizes });
+  }, [sizeBy, sizeScaleType, sizeRange, computedColumns, metadataRows, network]);
+
+  // Values shown in the size legend: evenly spaced on the chosen scale (geometric for log)
+  const sizeLegendStops = useMemo(() => {
+    if (!sizeMapping) return [];
+    const [min, max] = sizeMapping.domain;
+    if (!(max > min)) return [min];
+    const geometric = sizeScaleType === 'log' && min > 0;
+    return Array.from({ length: SIZE_LEGEND_STOPS }, (_, i) => {
+      const t = i / (SIZE_LEGEND_STOPS - 1);
+      return geometric ? min * (max / min) ** t : min + t * (max - min);
+    });
+  }, [sizeMapping, sizeScaleType]);
+
   const renderGraph = (graph) => {
     if (sigmaInstance.current) sigmaInstance.current.kill();
 
     if (containerRef.current instanceof HTMLElement) {
       sigmaInstance.current = new Sigma(graph, containerRef.current, {
         nodeProgramClasses: { circle: NodePointProgram },
-        edgeProgramClasses: { line: EdgeLineProgram },
+        edgeProgramClasses: { line: EdgeLineProgram, rectangle: EdgeRectangleProgram, curved: EdgeCurveProgram },
         defaultNodeType: 'circle',
         defaultEdgeType: 'line',
         renderLabels: false,  // start with no labels, use reducer to show only hovered/highlighted
@@ -131,19 +362,59 @@ function SigmaNetwork({
       sigmaInstance.current.on('leaveNode', () => {
         setHoveredNode?.(null);
       });
-      // Handle node click as selection
-      sigmaInstance.current.on('clickNode', ({ node }) => {
+      // Handle node click as selection; shift-click adds/removes the node from the multi-selection
+      sigmaInstance.current.on('clickNode', ({ node, event }) => {
+        if (suppressClickRef.current) {
+          suppressClickRef.current = false;
+          return;
+        }
+        if (event.original.shiftKey) {
+          const next = new Set(selectedNodesRef.current);
+          next.has(node) ? next.delete(node) : next.add(node);
+          setSelectedNodes?.(next);
+          return;
+        }
+        setSelectedNodes?.(new Set());
         setHighlightedNode?.(node);
         // On click in 'none' mode and if dynamic edges enabled, defer edge loading
-        if (edgeMode === 'none' && enableDynamicEdgesRef.current) {
-          setTimeout(() => updateEdgesForHighlight(node), 0);
+        // (the neighborhood effect draws the k-hop edges itself)
+        if (edgeMode === 'none' && enableDynamicEdgesRef.current && !neighborhoodDepthRef.current && !pathRef.current) {
+          setTimeout(() => updateEdgesForNodes(new Set([node])), 0);
         }
       });
-      // Clear highlighted node when clicking empty stage
-      sigmaInstance.current.on('clickStage', () => {
+      // Clear highlighted node and selection when clicking empty stage
+      sigmaInstance.current.on('clickStage', ({ event }) => {
+        if (suppressClickRef.current) {
+          suppressClickRef.current = false;
+          return;
+        }
+        if (event.original.shiftKey) return;
         setHighlightedNode?.(null);
         setHoveredNode?.(null);
+        setSelectedNodes?.(new Set());
+      });
+      // Shift+drag on the stage draws a lasso; enclosed nodes are added to the selection
+      const captor = sigmaInstance.current.getMouseCaptor();
+      sigmaInstance.current.on('downStage', ({ event }) => {
+        if (event.original.shiftKey) lassoRef.current = [{ x: event.x, y: event.y }];
+      });
+      captor.on('mousemovebody', (e) => {
+        if (!lassoRef.current) return;
+        lassoRef.current.push({ x: e.x, y: e.y });
+        drawLasso(lassoRef.current);
+        e.preventSigmaDefault(); // don't pan the camera while drawing
       });
+      captor.on('mouseup', () => {
+        const polygon = lassoRef.current;
+        if (!polygon) return;
+        lassoRef.current = null;
+        drawLasso(null);
+        if (polygon.length > 2) {
+          suppressClickRef.current = true;
+          selectInPolygon(polygon);
+        }
+      });
+      sigmaInstance.current.getCamera().on('updated', () => onViewChangeRef.current?.());
       // Extract communities once graph is live - but don't call network ready yet
       handleCommunities(graph);
 
@@ -208,6 +479,437 @@ function SigmaNetwork({
     }
   };
 
+  const drawLasso = (polygon) => {
+    lassoShapeRef.current?.setAttribute('points', polygon ? polygon.map(p => `${p.x},${p.y}`).join(' ') : '');
+  };
+
+  const selectInPolygon = (polygon) => {
+    const s = sigmaInstance.current;
+    if (!s) return;
+    const next = new Set(selectedNodesRef.current);
+    s.getGraph().forEachNode((node, attrs) => {
+      if (s.getNodeDisplayData(node)?.hidden) return;
+      if (pointInPolygon(s.graphToViewport({ x: attrs.x, y: attrs.y }), polygon)) next.add(node);
+    });
+    setSelectedNodes?.(next);
+  };
+
+  // Select the visible nodes of one legend category; shift adds to the current selection
+  const selectCategory = (comm, additive) => {
+    const s = sigmaInstance.current;
+    if (!s) return;
+    const next = new Set(additive ? selectedNodes : []);
+    s.getGraph().forEachNode((node, attrs) => {
+      if ((attrs[colorBy] ?? '') === comm && !s.getNodeDisplayData(node)?.hidden) next.add(node);
+    });
+    setSelectedNodes?.(next);
+  };
+
+  // Per-category counts (or numeric range) of the selection for the summary panel. Numbers are the
+  // legend's parsed values; categories are read from computed columns first, as those get recomputed.
+  const selectionSummary = useMemo(() => {
+    const graph = sigmaInstance.current?.getGraph();
+    if (!graph || selectedNodes.size === 0) return null;
+    if (isNumeric) {
+      const nums = [...selectedNodes].map(node => numericValues.get(node)).filter(v => v != null);
+      if (!nums.length) return null;
+      const mean = nums.reduce((a, b) => a + b, 0) / nums.length;
+      return { numeric: true, min: Math.min(...nums), max: Math.max(...nums), mean };
+    }
+    const computed = computedColumns[colorBy];
+    const counts = new Map();
+    selectedNodes.forEach(node => {
+      if (!graph.hasNode(node)) return;
+      const v = (computed ? computed[node] : graph.getNodeAttribute(node, colorBy)) ?? '';
+      counts.set(v, (counts.get(v) || 0) + 1);
+    });
+    return { numeric: false, counts: [...counts.entries()].sort((a, b) => b[1] - a[1]) };
+  }, [selectedNodes, colorBy, isNumeric, numericValues, computedColumns]);
+
+  const exportSelectedIds = () => {
+    downloadFile([...selectedNodes].join('\n') + '\n', 'selected_nodes.txt', 'text/plain');
+  };
+
+  // Copy the rendered graph for export: metadata plus the color and hidden state from nodeReducer,
+  // and the full edge list (not just the dynamically drawn edges) among the exported nodes.
+  // Filtered exports (visible or selected nodes) also respect the edge weight filter.
+  const buildExportGraph = ({ visibleOnly = false, selectedOnly = false } = {}) => {
+    const s = sigmaInstance.current;
+    if (!s) return null;
+    const graph = s.getGraph();
+    const out = new Graph();
+    graph.forEachNode((node, attrs) => {
+      const display = s.getNodeDisplayData(node);
+      const hidden = Boolean(display?.hidden ?? attrs.hidden);
+      if (visibleOnly && hidden) return;
+      if (selectedOnly && !selectedNodes.has(node)) return;
+      // Metadata wins over render attributes so columns like `size` keep their data values
+      const { id: _id, ...meta } = metadataRef.current?.[node] ?? {};
+      out.addNode(node, { ...attrs, ...meta, x: attrs.x, y: attrs.y, color: display?.color ?? attrs.color, hidden });
+    });
+    const filterEdges = visibleOnly || selectedOnly;
+    allEdgesRef.current.forEach(({ source, target, attributes }) => {
+      if (!out.hasNode(source) || !out.hasNode(target) || out.hasEdge(source, target)) return;
+      if (filterEdges && !edgePassesFilter(attributes)) return;
+      out.addEdge(source, target, { weight: attributes.weight });
+    });
+    return out;
+  };
+
+  // Node metadata with the displayed color and legend category, plus the edges among those nodes
+  const buildExportTables = ({ selectedOnly = false } = {}) => {
+    const graph = buildExportGraph({ visibleOnly: !selectedOnly, selectedOnly });
+    if (!graph) return null;
+    const nodes = [];
+    graph.forEachNode((node, attrs) => {
+      const { id: _id, ...meta } = metadataRef.current?.[node] ?? {};
+      const row = { id: node, ...meta, x: attrs.x, y: attrs.y, display_color: attrs.color };
+      if (!isNumeric) row.display_category = attrs[colorBy] ?? '';
+      nodes.push(row);
+    });
+    const edges = [];
+    graph.forEachEdge((edge, attrs, source, target) => {
+      edges.push({ source, target, weight: attrs.weight ?? null });
+    });
+    return { nodes, edges };
+  };
+
+  // Attach a computed per-node column to the live graph and to the metadata shown in the info panel
+  const setNodeColumn = (column, values) => {
+    const graph = sigmaInstance.current?.getGraph();
+    const meta = metadataRef.current || {};
+    Object.entries(values).forEach(([node, value]) => {
+      meta[node] = { ...(meta[node] ?? { id: node }), [column]: value };
+      if (graph?.hasNode(node)) graph.setNodeAttribute(node, column, value);
+    });
+    metadataRef.current = meta;
+    computedColumnsRef.current[column] = values;
+    setComputedColumns({ ...computedColumnsRef.current });
+    onComputedColumnsRef.current?.({ ...computedColumnsRef.current });
+    // Recolor straight away if we just overwrote the active column
+    if (graph && column === colorBy) handleCommunities(graph);
+  };
+
+  // Run Louvain over the full edge list in a worker and store the partition as a categorical column
+  const detectCommunities = ({ weighted = false, resolution = 1 } = {}) => new Promise((resolve, reject) => {
+    const s = sigmaInstance.current;
+    if (!s) {
+      reject(new Error('Network is not ready yet'));
+      return;
+    }
+    const worker = new Worker(new URL('./communityWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (event) => {
+      const { type, assignments, count, modularity, error } = event.data;
+      worker.terminate();
+      if (type === 'COMMUNITIES_ERROR') {
+        reject(new Error(error));
+        return;
+      }
+      const column = `louvain_r${resolution}${weighted ? '_w' : ''}`;
+      setNodeColumn(column, assignments);
+      resolve({ column, count, modularity });
+    };
+    worker.onerror = (error) => {
+      worker.terminate();
+      reject(new Error(error.message || 'Community detection worker failed'));
+    };
+    worker.postMessage({
+      type: 'DETECT_COMMUNITIES',
+      nodes: s.getGraph().nodes(),
+      edges: allEdgesRef.current.map(({ source, target, attributes }) => [source, target, attributes.weight]),
+      weighted,
+      resolution,
+    });
+  });
+
+  // Compute centrality metrics in a worker and store each one as a node column
+  const computeMetrics = ({ onProgress } = {}) => new Promise((resolve, reject) => {
+    const s = sigmaInstance.current;
+    if (!s) {
+      reject(new Error('Network is not ready yet'));
+      return;
+    }
+    const worker = new Worker(new URL('./metricsWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (event) => {
+      const { type, progress, columns, componentCount, sampled, error } = event.data;
+      if (type === 'METRICS_PROGRESS') {
+        onProgress?.(progress);
+        return;
+      }
+      worker.terminate();
+      if (type === 'METRICS_ERROR') {
+        reject(new Error(error));
+        return;
+      }
+      Object.entries(columns).forEach(([column, values]) => setNodeColumn(column, values));
+      resolve({ columns: Object.keys(columns), componentCount, sampled });
+    };
+    worker.onerror = (error) => {
+      worker.terminate();
+      reject(new Error(error.message || 'Network metrics worker failed'));
+    };
+    worker.postMessage({
+      type: 'COMPUTE_METRICS',
+      nodes: s.getGraph().nodes(),
+      edges: allEdgesRef.current.map(({ source, target, attributes }) => [source, target, attributes.weight]),
+      weighted: Boolean(network?.hasWeights),
+    });
+  });
+
+  // Nodes the loaded dataset gave their own x/y (the ones the layout can pin); coordinates saved
+  // from a layout later don't count
+  const originalCoordinates = useMemo(() => new Set(
+    metadataRows
+      .filter(row => Number.isFinite(parseFloat(row.x)) && Number.isFinite(parseFloat(row.y)))
+      .map(row => String(row.id))
+  ), [metadataRows]);
+
+  const applyLayoutPositions = (nodes, positions) => {
+    const graph = sigmaInstance.current?.getGraph();
+    const latest = new Map();
+    nodes.forEach((node, i) => latest.set(node, [positions[2 * i], positions[2 * i + 1]]));
+    layoutPositionsRef.current = latest;
+    graph?.updateEachNodeAttributes((node, attrs) => {
+      const position = latest.get(node);
+      if (position) {
+        attrs.x = position[0];
+        attrs.y = position[1];
+      }
+      return attrs;
+    }, { attributes: ['x', 'y'] });
+  };
+
+  // Start (or resume) ForceAtlas2 from the current positions; iterationLimit stops it automatically
+  const startLayout = ({ gravity, scalingRatio, pinExisting = false, iterationLimit } = {}) => {
+    const graph = sigmaInstance.current?.getGraph();
+    if (!graph) return;
+    if (layoutRef.current && layoutRef.current.pinExisting !== pinExisting) {
+      layoutRef.current.worker.terminate();
+      layoutRef.current = null;
+    }
+    if (!layoutRef.current) {
+      const nodes = graph.nodes();
+      const positions = new Float32Array(2 * nodes.length);
+      const fixed = new Uint8Array(nodes.length);
+      nodes.forEach((node, i) => {
+        const { x, y } = graph.getNodeAttributes(node);
+        positions[2 * i] = x;
+        positions[2 * i + 1] = y;
+        if (pinExisting && originalCoordinates.has(node)) fixed[i] = 1;
+      });
+      if (!layoutOriginRef.current) layoutOriginRef.current = { nodes, positions: positions.slice() };
+      const worker = new Worker(new URL('./layoutWorker.js', import.meta.url), { type: 'module' });
+      worker.onmessage = (event) => {
+        const { type, positions: next, iterations, running, error } = event.data;
+        if (type === 'LAYOUT_POSITIONS') {
+          applyLayoutPositions(nodes, next);
+          onLayoutStatusRef.current?.({ running, iterations });
+        } else if (type === 'LAYOUT_ERROR') {
+          console.error('[SigmaNetwork] Layout failed:', error);
+          onLayoutStatusRef.current?.({ running: false, iterations: 0, error });
+        }
+      };
+      worker.postMessage({
+        type: 'INIT',
+        nodes,
+        positions,
+        fixed,
+        edges: allEdgesRef.current.map(({ source, target, attributes }) => [source, target, attributes.weight]),
+        settings: { gravity, scalingRatio },
+      });
+      layoutRef.current = { worker, pinExisting };
+    }
+    layoutRef.current.worker.postMessage({ type: 'SETTINGS', settings: { gravity, scalingRatio } });
+    layoutRef.current.worker.postMessage({ type: 'START', iterationLimit });
+    onLayoutStatusRef.current?.({ running: true, iterations: 0 });
+  };
+
+  // Put the nodes back where they were before the layout first ran
+  const resetLayout = () => {
+    layoutRef.current?.worker.terminate();
+    layoutRef.current = null;
+    const origin = layoutOriginRef.current;
+    if (origin) applyLayoutPositions(origin.nodes, origin.positions);
+    layoutPositionsRef.current = null;
+    layoutOriginRef.current = null;
+    onLayoutStatusRef.current?.({ running: false, iterations: 0 });
+  };
+
+  // Store the current positions as the x/y columns so exports, sessions and later layouts keep them
+  const saveLayoutCoordinates = () => {
+    const graph = sigmaInstance.current?.getGraph();
+    if (!graph) return 0;
+    const xs = {}, ys = {};
+    graph.forEachNode((node, attrs) => {
+      xs[node] = attrs.x;
+      ys[node] = attrs.y;
+    });
+    setNodeColumn('x', xs);
+    setNodeColumn('y', ys);
+    return graph.order;
+  };
+
+  // Legend values as they appear in the graph, matched by string since links store them as JSON
+  const applyLegendSelection = (legend, comms) => {
+    const byKey = new Map(comms.map(c => [String(c), c]));
+    const pick = values => (values || []).map(v => byKey.get(String(v))).filter(v => v !== undefined);
+    let visible;
+    if (legend.visible) {
+      visible = new Set(pick(legend.visible));
+    } else {
+      const hidden = new Set(pick(legend.hidden));
+      visible = new Set(comms.filter(c => !hidden.has(c)));
+    }
+    setVisibleComms(visible);
+    setHighlightedComms(new Set(pick(legend.highlighted)));
+    const range = legend.range;
+    setNumericRange(Array.isArray(range) && range.length === 2 && range.every(Number.isFinite) && range[0] <= range[1] ? [range[0], range[1]] : null);
+  };
+
+  // Custom breaks come from the legend's text box, in column units (dates as yyyy-mm-dd)
+  const applyBreaks = (breaks) => {
+    const sorted = [...new Set(breaks)].sort((a, b) => a - b);
+    setCustomBreaks(sorted);
+    setBreaksText(sorted.map(formatLegendValue).join(', '));
+  };
+
+  const parseBreaks = (text) => {
+    const breaks = text.split(/[,;\s]+/).map(part => toScalar(part, numericLegendRef.current.type)).filter(v => v != null);
+    applyBreaks(breaks);
+  };
+
+  const formatLegendValue = (v) => {
+    if (v == null || !Number.isFinite(v)) return '';
+    return numericLegendRef.current.type === 'date' ? formatDate(v) : v.toFixed(2);
+  };
+
+  // Camera and legend state; hidden categories are stored as whichever list is shorter
+  const getViewState = () => {
+    const camera = sigmaInstance.current?.getCamera().getState();
+    const legend = {
+      highlighted: [...highlightedComms],
+      paletteName: sequentialPaletteName,
+      reversed: isReversed,
+      scaleType,
+      binning,
+      bins: binCount,
+      breaks: customBreaks,
+      rangeMode,
+      clamp: clampToRange,
+    };
+    if (isNumeric && numericRange) legend.range = numericRange;
+    const hidden = communities.filter(c => !visibleComms.has(c));
+    if (!isNumeric && hidden.length > 0) {
+      if (hidden.length <= communities.length / 2) legend.hidden = hidden;
+      else legend.visible = communities.filter(c => visibleComms.has(c));
+    }
+    return { camera: camera ? roundCamera(camera) : null, legend, sizeStyle: { scaleType: sizeScaleType, range: sizeRange } };
+  };
+
+  // Restore state from getViewState. colorBy is the column the legend belongs to; if it is not
+  // the column currently shown, the legend is applied once that column has been colored.
+  const applyViewState = ({ camera, legend, colorBy: legendColumn, sizeStyle }) => {
+    if (camera) sigmaInstance.current?.getCamera().setState(camera);
+    if (SCALE_TYPES.some(t => t.value === sizeStyle?.scaleType)) setSizeScaleType(sizeStyle.scaleType);
+    const range = sizeStyle?.range;
+    if (Array.isArray(range) && range[0] > 0 && range[1] >= range[0]) setSizeRange([range[0], range[1]]);
+    if (!legend) return;
+    if (paletteOptions.includes(legend.paletteName)) setSequentialPaletteName(legend.paletteName);
+    if (typeof legend.reversed === 'boolean') setIsReversed(legend.reversed);
+    if (SCALE_TYPES.some(t => t.value === legend.scaleType)) setScaleType(legend.scaleType);
+    if (BINNING_MODES.some(m => m.value === legend.binning)) setBinning(legend.binning);
+    if (Number.isInteger(legend.bins) && legend.bins >= 2 && legend.bins <= MAX_QUANTILE_BINS) setBinCount(legend.bins);
+    if (Array.isArray(legend.breaks) && legend.breaks.every(Number.isFinite)) applyBreaks(legend.breaks);
+    if (legend.rangeMode === 'hide' || legend.rangeMode === 'dim') setRangeMode(legend.rangeMode);
+    if (typeof legend.clamp === 'boolean') setClampToRange(legend.clamp);
+    if (legendColumn === legendColumnRef.current) {
+      applyLegendSelection(legend, communitiesRef.current);
+    } else {
+      pendingLegendRef.current = { ...legend, colorBy: legendColumn };
+    }
+  };
+
+  // Legend and PTU label overlay as data, for image export
+  const getImageLayers = () => {
+    const graph = sigmaInstance.current?.getGraph();
+    if (!graph) return null;
+    const bins = numericLegendRef.current.bins;
+    const legend = isNumeric && bins
+      ? { type: 'categorical', title: colorBy, items: bins.map(bin => ({ label: `${formatLegendValue(bin.from)} – ${formatLegendValue(bin.to)}`, color: bin.color })) }
+      : isNumeric
+      ? { type: 'numeric', title: colorBy, colors: numericPaletteState, domain: numericDomainRef.current }
+      : {
+        type: 'categorical',
+        title: colorBy,
+        items: communities
+          .filter(c => visibleComms.has(c))
+          .map(c => ({ label: c == null || c === '' ? '(missing)' : String(c), color: palette[c] })),
+      };
+    // Same clusters as the on-screen overlay: PTU label at the mean position of its nodes
+    const sums = {};
+    graph.forEachNode((node, attr) => {
+      const ptu = attr.new_PTU;
+      if (!ptu) return;
+      const sum = sums[ptu] ?? (sums[ptu] = { x: 0, y: 0, n: 0 });
+      sum.x += attr.x;
+      sum.y += attr.y;
+      sum.n += 1;
+    });
+    const ptuClusters = Object.entries(sums).map(([label, sum]) => ({
+      label,
+      color: ptuPaletteRef.current[label] || '#000',
+      x: sum.x / sum.n,
+      y: sum.y / sum.n,
+    }));
+    return { legend, ptuClusters };
+  };
+
+  useImperativeHandle(ref, () => ({
+    getExportGraph: buildExportGraph,
+    getImageLayers,
+    getExportTables: buildExportTables,
+    detectCommunities,
+    computeMetrics,
+    startLayout,
+    stopLayout: () => layoutRef.current?.worker.postMessage({ type: 'STOP' }),
+    setLayoutSettings: (settings) => layoutRef.current?.worker.postMessage({ type: 'SETTINGS', settings }),
+    resetLayout,
+    saveLayoutCoordinates,
+    // Shortest path over all edges passing the weight filter (null when there is none)
+    findPath: (source, target, { weighted = false } = {}) =>
+      shortestPath(adjacency, source, target, { weighted, passes: edgePassesFilter }),
+    // Edges among the given nodes over the full edge list: [{ source, target, weight }]
+    getEdgesBetween: (nodes) => {
+      const wanted = new Set(nodes);
+      const edges = [];
+      nodes.forEach(source => (adjacency.get(source) ?? []).forEach(({ node, attributes }) => {
+        if (wanted.has(node) && source < node) edges.push({ source, target: node, weight: attributes.weight ?? null });
+      }));
+      return edges;
+    },
+    getViewState,
+    applyViewState,
+    getComputedColumns: () => computedColumnsRef.current,
+    // Categorical palette styles for the dataset (column -> { preset, colors, assigned }), for sessions
+    getCategoricalStyles: () => ({ ...getCategoricalStyles() }),
+    setCategoricalStyles: (styles) => {
+      Object.entries(styles ?? {}).forEach(([column, style]) => setCategoricalStyle(column, style));
+    },
+    // Restore columns from a saved session; values for nodes missing from this network are dropped
+    setComputedColumns: (columns) => {
+      const graph = sigmaInstance.current?.getGraph();
+      if (!graph) return;
+      Object.entries(columns).forEach(([column, values]) => {
+        const known = Object.fromEntries(Object.entries(values).filter(([node]) => graph.hasNode(node)));
+        setNodeColumn(column, known);
+      });
+    },
+  }));
+
+  useEffect(() => {
+    onViewChangeRef.current?.();
+  }, [visibleComms, highlightedComms, sequentialPaletteName, isReversed, scaleType, sizeScaleType, sizeRange, binning, binCount, customBreaks, numericRange, rangeMode, clampToRange]);
+
   // Toggle visibility of a single community
   const toggleComm = comm => {
     const next = new Set(visibleComms);
@@ -232,19 +934,16 @@ function SigmaNetwork({
   useEffect(() => {
     const inst = sigmaInstance.current;
     if (!inst || Object.keys(palette).length === 0) return; // wait for palette
-    // Skip hiding behavior when numeric coloring is active
-    if (isNumeric) {
-      inst.refresh({ skipIndexation: true });
-      return;
-    }
     const graph = inst.getGraph();
     graph.forEachNode((node, attrs) => {
-      const v = attrs[colorBy];
-      const hidden = v != null && !visibleComms.has(v);
+      // Numeric coloring hides by the brushed range instead of legend categories
+      const hidden = isNumeric
+        ? rangeMode === 'hide' && Boolean(outOfRangeNodes?.has(node))
+        : !visibleComms.has(attrs[colorBy] ?? '');
       graph.setNodeAttribute(node, 'hidden', hidden);
     });
     inst.refresh({ skipIndexation: true });
-  }, [visibleComms, isNumeric, palette]);
+  }, [visibleComms, isNumeric, palette, outOfRangeNodes, rangeMode]);
 
   // Apply dynamic coloring and use built-in highlighted flag for selected and community highlights
   useEffect(() => {
@@ -255,11 +954,25 @@ function SigmaNetwork({
       // Choose color from numeric palette (node-keyed) or categorical (value-keyed)
       const color = isNumeric
         ? palette[node] || data.color
-        : (data[colorBy] != null ? palette[data[colorBy]] : data.color);
-     const highlighted = node === highlightedNode || highlightedComms.has(data[colorBy]);
+        : (palette[data[colorBy] ?? ''] ?? data.color);
+     let highlighted = node === highlightedNode || selectedNodes.has(node) || Boolean(queryMatches?.has(node) || pathNodes?.has(node)) || highlightedComms.has(data[colorBy] ?? '');
      const hovered = node === hoveredNode;
      const nodeLabel = data.label;
      const newData = { ...data, color, highlighted };
+     if (sizeMapping) newData.size = sizeMapping.sizes.get(node) ?? sizeRange[0];
+     if (egoNodes) {
+       const ego = egoNodes.get(node);
+       newData.color = ego ? HOP_COLORS[ego.hop] : DIMMED_COLOR;
+       if (!ego) highlighted = newData.highlighted = false;
+     }
+     if (rangeMode === 'dim' && outOfRangeNodes?.has(node)) newData.color = DIMMED_COLOR;
+     if (annotationMatches) {
+       if (annotationMatches.has(node)) highlighted = newData.highlighted = true;
+       else newData.color = DIMMED_COLOR;
+     }
+     if (connectedNodes && !connectedNodes.has(node)) newData.hidden = true;
+     if (filterToQuery && queryMatches && !queryMatches.has(node)) newData.hidden = true;
+     if (facetMatches && !facetMatches.has(node)) newData.hidden = true;
      if (!showLabels) {
        newData.label = undefined;
      } else if (!(highlighted || hovered)) {
@@ -272,7 +985,30 @@ function SigmaNetwork({
    
    // Only refresh after palette is set and ready
    s.refresh({ skipIndexation: true });
- }, [palette, highlightedComms, highlightedNode, hoveredNode, showLabels, edgeMode, isNumeric]);
+ }, [palette, highlightedComms, highlightedNode, selectedNodes, queryMatches, filterToQuery, facetMatches, annotationMatches, egoNodes, pathNodes, sizeMapping, sizeRange, hoveredNode, showLabels, edgeMode, isNumeric, connectedNodes, outOfRangeNodes, rangeMode]);
+
+  // Weight range over all edges (not just the drawn ones) for edge styling
+  const weightDomain = useMemo(() => {
+    const weights = network?.weights;
+    if (!weights?.length) return [1, 1];
+    let min = Infinity, max = -Infinity;
+    for (let i = 0; i < weights.length; i++) {
+      if (weights[i] < min) min = weights[i];
+      if (weights[i] > max) max = weights[i];
+    }
+    // NaN (missing) weights fail both comparisons; with none left there is no domain
+    return min <= max ? [min, max] : [1, 1];
+  }, [network]);
+
+  // Apply edge styling; re-run on palette changes since a rebuilt Sigma instance starts without reducers
+  // and community-colored edges follow the node colors
+  useEffect(() => {
+    const s = sigmaInstance.current;
+    if (!s) return;
+    s.setSetting('edgeReducer', isDefaultEdgeStyle(edgeStyle)
+      ? null
+      : createEdgeReducer(edgeStyle, weightDomain, node => s.getNodeDisplayData(node)?.color, s.getGraph()));
+  }, [edgeStyle, weightDomain, palette]);
 
   // Separate effect to call network ready only after initial load and coloring
   useEffect(() => {
@@ -282,60 +1018,69 @@ function SigmaNetwork({
     }
   }, [palette]);
 
-  // Build graph directly from Parquet rows
+  // Build the graph from the prebuilt network payload (nodes, positions and metadata are already set)
   const loadFromEdgeList = async () => {
-    // build graph and edge list
-    const graph = new Graph();
-    const edges = edgeRows.map(r => ({
-      source: r.source,
-      target: r.target,
-      attributes: { weight: r.weight || 1, color: 'rgb(227,227,227)', size: 1 }
-    }));
-    allEdgesRef.current = edges;
-    const nodeSet = new Set(edges.flatMap(e => [e.source, e.target]));
-    // add nodes from metadata
-    nodeSet.forEach(id => {
-      const attrs = metadataRef.current?.[id] ?? {};
-      let x = parseFloat(attrs.x), y = parseFloat(attrs.y);
-      if (isNaN(x)) x = Math.random() * 10;
-      if (isNaN(y)) y = Math.random() * 10;
-      graph.addNode(id, { ...attrs, x, y, size: 0.7, label: id });
+    const graph = Graph.from(network.graph);
+    // The payload predates any columns computed since it was built
+    Object.entries(computedColumnsRef.current).forEach(([column, values]) => {
+      Object.entries(values).forEach(([node, value]) => {
+        if (graph.hasNode(node)) graph.setNodeAttribute(node, column, value);
+      });
+    });
+    layoutPositionsRef.current?.forEach(([x, y], node) => {
+      if (graph.hasNode(node)) graph.mergeNodeAttributes(node, { x, y });
     });
     // add edges if mode=all
-    if (edgeMode === 'all') edges.forEach(e => { try { graph.addEdge(e.source, e.target, e.attributes); } catch {} });
+    if (edgeMode === 'all') allEdgesRef.current.forEach(e => { if (!edgePassesFilter(e.attributes)) return; try { graph.addEdge(e.source, e.target, e.attributes); } catch {} });
     renderGraph(graph);
   };
 
-  // helper: update edges for a single node highlight
-  const updateEdgesForHighlight = node => {
+  // helper: show edges touching any of the given nodes (or, with withinOnly, edges between them)
+  const updateEdgesForNodes = useCallback((nodes, withinOnly = false) => {
     const s = sigmaInstance.current;
     if (!s) return;
     const g = s.getGraph();
     g.clearEdges();
     allEdgesRef.current.forEach(({ source, target, attributes }) => {
-      if (source === node || target === node) {
+      const touches = withinOnly
+        ? nodes.has(source) && nodes.has(target)
+        : nodes.has(source) || nodes.has(target);
+      if (touches && edgePassesFilter(attributes) && edgeInRange(source, target)) {
         try { g.addEdge(source, target, attributes); } catch {};
       }
     });
     s.refresh();
-  };
+  }, [edgePassesFilter, edgeInRange]);
 
   // React to programmatic highlights (zoom or legend) and load edges when in 'none' mode
   useEffect(() => {
     const s = sigmaInstance.current;
     if (!s) return;
     const g = s.getGraph();
-    // Only run dynamic edge loading when mode none and dynamic edges enabled
-    if (edgeMode !== 'none' || !enableDynamicEdges) return;
+    // Only run dynamic edge loading when mode none and dynamic edges enabled; a shown path has its own effect
+    if (edgeMode !== 'none' || !enableDynamicEdges || path) return;
+    const focus = new Set(selectedNodes);
+    if (highlightedNode) focus.add(highlightedNode);
     // No highlights: clear all edges
-    if (!highlightedNode && highlightedComms.size === 0) {
+    if (focus.size === 0 && highlightedComms.size === 0) {
       g.clearEdges();
       s.refresh();
       return;
     }
-    // Single node highlight
-    if (highlightedNode) {
-      updateEdgesForHighlight(highlightedNode);
+    // k-hop neighborhood: every edge between nodes of the ego network
+    if (egoNodes && selectedNodes.size === 0) {
+      g.clearEdges();
+      allEdgesRef.current.forEach(({ source, target, attributes }) => {
+        if (egoNodes.has(source) && egoNodes.has(target) && edgePassesFilter(attributes) && edgeInRange(source, target) && !g.hasEdge(source, target)) {
+          g.addEdge(source, target, attributes);
+        }
+      });
+      s.refresh();
+      return;
+    }
+    // Highlighted and selected nodes
+    if (focus.size > 0) {
+      updateEdgesForNodes(focus, selectionEdgesWithin && selectedNodes.size > 1);
       return;
     }
     // Community highlights: only edges in those communities
@@ -343,12 +1088,32 @@ function SigmaNetwork({
     allEdgesRef.current.forEach(({ source, target, attributes }) => {
       const srcComm = g.getNodeAttribute(source, colorBy);
       const tgtComm = g.getNodeAttribute(target, colorBy);
-      if (highlightedComms.has(srcComm) || highlightedComms.has(tgtComm)) {
+      if ((highlightedComms.has(srcComm) || highlightedComms.has(tgtComm)) && edgePassesFilter(attributes) && edgeInRange(source, target)) {
         try { g.addEdge(source, target, attributes); } catch {};
       }
     });
     s.refresh();
-  }, [highlightedNode, highlightedComms, edgeMode, enableDynamicEdges]);
+  }, [highlightedNode, selectedNodes, selectionEdgesWithin, highlightedComms, edgeMode, enableDynamicEdges, edgeWeightRange, egoNodes, path, outOfRangeNodes, edgePassesFilter, edgeInRange, updateEdgesForNodes]);
+
+  // Pan to a node at the current zoom level and make it the highlighted node
+  const centerOnNode = (node) => {
+    const s = sigmaInstance.current;
+    const pos = s?.getNodeDisplayData(node);
+    if (pos) s.getCamera().animate({ x: pos.x, y: pos.y }, { duration: 500 });
+    setHighlightedNode?.(node);
+  };
+
+  // Redraw the full edge set in 'all' mode when the weight filter changes or a path is cleared
+  useEffect(() => {
+    const s = sigmaInstance.current;
+    if (!s || edgeMode !== 'all' || path) return;
+    const g = s.getGraph();
+    g.clearEdges();
+    allEdgesRef.current.forEach(({ source, target, attributes }) => {
+      if (edgePassesFilter(attributes) && !g.hasEdge(source, target)) g.addEdge(source, target, attributes);
+    });
+    s.refresh();
+  }, [edgeWeightRange, edgeMode, path, edgePassesFilter]);
 
   // Clear any highlighted edges when dynamic edges are disabled
   useEffect(() => {
@@ -362,19 +1127,35 @@ function SigmaNetwork({
   }, [enableDynamicEdges, edgeMode]);
 
   useEffect(() => {
-    if (edgeRows.length && metadataRows.length) loadFromEdgeList();
-  }, [edgeRows, metadataRows, edgeMode]);
+    if (network && metadataRows.length) loadFromEdgeList();
+  }, [network, metadataRows, edgeMode]);
+
+  // Path mode: draw only the path edges (after any rebuild above, whatever the edge mode)
+  useEffect(() => {
+    const s = sigmaInstance.current;
+    if (!s || !path) return;
+    const g = s.getGraph();
+    g.clearEdges();
+    path.edges.forEach(({ source, target, attributes }) => {
+      if (g.hasNode(source) && g.hasNode(target) && !g.hasEdge(source, target)) {
+        // isPath keeps the edge style reducer off them; line edges are always 1px, so draw rectangles
+        g.addEdge(source, target, { ...attributes, color: PATH_EDGE_COLOR, size: 3, type: 'rectangle', isPath: true });
+      }
+    });
+    s.refresh();
+  }, [path, network, metadataRows, edgeMode, enableDynamicEdges]);
 
-  // Recompute legend/palette and visible set when colorBy changes
+  // Recompute legend/palette and visible set when colorBy changes; the brushed range only recolors when clamped
+  const colorRange = clampToRange ? numericRange : null;
   useEffect(() => {
     // Log effect triggers and prop stability
-    console.log('[Effect Triggered] edgeRows:', edgeRows, 'metadataRows:', metadataRows, 'colorBy:', colorBy, 'sequentialPaletteName:', sequentialPaletteName, 'isReversed:', isReversed);
-    console.log('[Effect Triggered] edgeRows ref:', edgeRows && edgeRows.length ? edgeRows[0] : edgeRows, 'metadataRows ref:', metadataRows && metadataRows.length ? metadataRows[0] : metadataRows);
+    console.log('[Effect Triggered] network:', network, 'metadataRows:', metadataRows, 'colorBy:', colorBy, 'sequentialPaletteName:', sequentialPaletteName, 'isReversed:', isReversed);
+    console.log('[Effect Triggered] metadataRows ref:', metadataRows && metadataRows.length ? metadataRows[0] : metadataRows);
     const inst = sigmaInstance.current;
     if (!inst) return;
     const graph = inst.getGraph();
     handleCommunities(graph);
-  }, [edgeRows, metadataRows, colorBy, sequentialPaletteName, isReversed]);
+  }, [network, metadataRows, colorBy, colorByType, sequentialPaletteName, isReversed, scaleType, paletteVersion, binning, binCount, customBreaks, colorRange]);
 
   useEffect(() => {
     const resize = () => sigmaInstance.current?.refresh(
@@ -390,7 +1171,8 @@ function SigmaNetwork({
   }, []);
 
   useEffect(() => {
-    if (!zoomToId || !sigmaInstance.current) return;
+    // Ids typed or listed from metadata may have no node in the graph (rows without edges)
+    if (!zoomToId || !sigmaInstance.current?.getGraph().hasNode(zoomToId)) return;
     const r = sigmaInstance.current;
     const pos = r.getNodeDisplayData(zoomToId) ?? r.getGraph().getNodeAttributes(zoomToId);
     if (pos?.x && pos?.y) r.getCamera().animate({ x: pos.x, y: pos.y, ratio: 0.01 }, { duration: 1000 });
@@ -457,6 +1239,40 @@ function SigmaNetwork({
     }
   }, [showPTULabels, palette]);
 
+  const getCategoricalStyles = () => {
+    const stored = categoricalStylesRef.current;
+    if (stored.datasetName !== datasetName) {
+      categoricalStylesRef.current = { datasetName, styles: loadCategoricalStyles(datasetName) };
+    }
+    return categoricalStylesRef.current.styles;
+  };
+
+  const setCategoricalStyle = (column, style) => {
+    const styles = getCategoricalStyles();
+    const next = sanitizeStyle(style);
+    if (isEmptyStyle(next)) delete styles[column];
+    else styles[column] = next;
+    saveCategoricalStyle(datasetName, column, next);
+    setPaletteVersion(v => v + 1);
+  };
+
+  // Store the colors handed to newly seen categories, so they keep them next time; no recolor is
+  // needed since the palette just computed already uses them
+  const rememberAssignedColors = (column, style, assigned) => {
+    if (!assigned || Object.keys(assigned).length === Object.keys(style.assigned ?? {}).length) return;
+    const next = { ...style, assigned };
+    getCategoricalStyles()[column] = next;
+    saveCategoricalStyle(datasetName, column, next);
+  };
+
+  const categoricalStyle = getCategoricalStyles()[colorBy] ?? DEFAULT_CATEGORICAL_STYLE;
+
+  // Override one category's color
+  const setCategoryColor = (comm, color) => {
+    const colors = { ...categoricalStyle.colors, [comm]: color };
+    setCategoricalStyle(colorBy, { ...categoricalStyle, colors });
+  };
+
   // Guard to prevent recursion
   const handleCommunitiesRunning = useRef(false);
 
@@ -470,28 +1286,43 @@ function SigmaNetwork({
     handleCommunitiesRunning.current = true;
     try {
       console.log('handleCommunities called');
-      // Always precompute PTU palette for PTU label overlay (regardless of current colorBy)
-      const ptuSet = new Set();
-      graph.forEachNode((n, attrs) => {
-        const v = attrs.new_PTU;
-        ptuSet.add(v != null && v !== '' ? v : '');
-      });
-      const ptuList = Array.from(ptuSet);
-      const ptuColors = iwanthue(ptuList.length) || [];
-      const ptuPal = {};
-      ptuList.forEach((ptu, i) => {
-        ptuPal[ptu] = ptu === '' ? '#d3d3d3' : (ptuColors[i] || '#888');
-      });
+      // Always have a PTU palette for the PTU label overlay (regardless of current colorBy);
+      // the data worker precomputes it, otherwise derive it from the graph
+      let ptuPal = network?.ptuPalette;
+      if (!ptuPal) {
+        const ptuValues = [];
+        graph.forEachNode((n, attrs) => ptuValues.push(attrs.new_PTU));
+        ptuPal = computePtuPalette(ptuValues);
+      }
+      const style = getCategoricalStyles()[colorBy];
+      const ptuStyle = getCategoricalStyles().new_PTU;
+      if (!isEmptyStyle(ptuStyle)) {
+        // Restyle the overlay's palette from the new_PTU style, so labels and nodes keep matching
+        const ptus = Object.keys(ptuPal).filter(ptu => ptu !== '').sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+        const { colors, assigned } = presetColors(ptus, { preset: ptuStyle.preset, seed: 'new_PTU', assigned: ptuStyle.assigned });
+        rememberAssignedColors('new_PTU', ptuStyle, assigned);
+        ptuPal = { ...ptuPal };
+        ptus.forEach(ptu => { ptuPal[ptu] = ptuStyle.colors[ptu] ?? colors[ptu]; });
+        if (ptuStyle.colors[''] && '' in ptuPal) ptuPal[''] = ptuStyle.colors[''];
+      }
       ptuPaletteRef.current = ptuPal; // Always store PTU palette for label overlay
-      // Determine if numeric data
-      const nodes = [];
-      graph.forEachNode(node => nodes.push(node));
-      const numericData = nodes.map(node => ({ node, v: Number(graph.getNodeAttribute(node, colorBy)) }))
-        .filter(d => !isNaN(d.v));
-      const numeric = numericData.length === nodes.length;
+      // Column type: chosen in "Color by" or inferred; missing values don't count against numeric
+      const columnValues = [];
+      graph.forEachNode((node, attrs) => columnValues.push(attrs[colorBy]));
+      const type = colorByType ?? inferColumnType(columnValues, colorBy);
+      const numericData = [];
+      const missingNodes = [];
+      if (isScalarType(type)) {
+        graph.forEachNode((node, attrs) => {
+          const v = toScalar(attrs[colorBy], type);
+          if (v == null) missingNodes.push(node);
+          else numericData.push({ node, v });
+        });
+      }
+      const numeric = numericData.length > 0;
 
       // Prepare new state variables
-      let newPalette, newCommunities, newVisibleComms, newNumericPaletteState, newIsNumeric;
+      let newPalette, newCommunities, newVisibleComms, newNumericPaletteState, newIsNumeric, newNumericValues;
 
       if (colorBy === 'new_PTU') {
         newPalette = ptuPal;
@@ -499,70 +1330,78 @@ function SigmaNetwork({
         newVisibleComms = new Set(newCommunities);
         newIsNumeric = false;
       } else if (numeric) {
-        // Numeric mode - use linear scale for color mapping
+        // Numeric mode: d3 scale over the value extent (or the brushed range when clamped), optionally binned
         const values = numericData.map(d => d.v);
         const minVal = values.reduce((a, b) => Math.min(a, b), Infinity);
         const maxVal = values.reduce((a, b) => Math.max(a, b), -Infinity);
-        numericDomainRef.current = [minVal, maxVal];
+        const colorDomain = clampToRange && numericRange ? numericRange : [minVal, maxVal];
+        numericDomainRef.current = colorDomain;
         const numGradientSteps = 100;
         console.log('[handleCommunities] before getSequentialColors', sequentialPaletteName, numGradientSteps);
         let palColors = getSequentialColors(sequentialPaletteName, numGradientSteps);
         console.log('[handleCommunities] after getSequentialColors');
         if (isReversed) palColors = [...palColors].reverse();
-        const palMap = {};
-        const range = maxVal - minVal;
-        // Choose d3 scale based on scaleType
-        let scale;
-        if (scaleType === 'log') {
-          // Avoid log(0) by setting min to a small positive value if needed
-          const safeMin = minVal > 0 ? minVal : 1e-6;
-          scale = scaleLog().domain([safeMin, maxVal]).range([0, 1]);
-        } else if (scaleType === 'sqrt') {
-          scale = scaleSqrt().domain([minVal, maxVal]).range([0, 1]);
-        } else if (scaleType === 'pow') {
-          scale = scalePow().exponent(2).domain([minVal, maxVal]).range([0, 1]);
-        } else {
-          scale = scaleLinear().domain([minVal, maxVal]).range([0, 1]);
-        }
+        const unit = createUnitScale(scaleType, colorDomain);
+        const colorAt = (t) => palColors[Math.floor(t * (numGradientSteps - 1))] ?? '#888';
 
-        numericData.forEach(d => {
-          if (range === 0) {
-            palMap[d.node] = palColors[Math.floor(numGradientSteps / 2)] ?? '#888';
-          } else {
-            let scaled = scale(d.v);
-            // Clamp to [0,1] in case of out-of-domain
-            scaled = Math.max(0, Math.min(1, scaled));
-            const colorIndex = Math.floor(scaled * (numGradientSteps - 1));
-            palMap[d.node] = palColors[colorIndex] ?? '#888';
+        // Bin thresholds inside the color domain: quantiles of the values in it, or the custom breaks
+        let thresholds = null;
+        if (binning === 'quantile') {
+          const inDomain = values.filter(v => v >= colorDomain[0] && v <= colorDomain[1]);
+          if (inDomain.length) {
+            thresholds = scaleQuantile().domain(inDomain).range([...Array(binCount).keys()]).quantiles();
           }
+        } else if (binning === 'breaks') {
+          thresholds = customBreaks.filter(b => b > colorDomain[0] && b < colorDomain[1]);
+        }
+        // Without any threshold in the domain the colors stay continuous
+        thresholds = thresholds?.length ? [...new Set(thresholds)].sort((a, b) => a - b) : null;
+        let bins = null;
+        let colorOf = v => colorAt(unit(v));
+        if (thresholds) {
+          // Each bin takes the gradient color at its position among the bins
+          bins = [...thresholds, colorDomain[1]].map((to, i) => ({
+            from: i === 0 ? colorDomain[0] : thresholds[i - 1],
+            to,
+            color: colorAt(thresholds.length ? i / thresholds.length : 0.5),
+          }));
+          colorOf = v => {
+            let i = 0;
+            while (i < thresholds.length && v >= thresholds[i]) i++;
+            return bins[i].color;
+          };
+        }
+
+        // Histogram over the full extent, so the brush can widen the range again
+        const histogram = new Array(HISTOGRAM_BINS).fill(0);
+        const span = maxVal - minVal;
+        values.forEach(v => {
+          histogram[span > 0 ? Math.min(HISTOGRAM_BINS - 1, Math.floor(((v - minVal) / span) * HISTOGRAM_BINS)) : 0] += 1;
         });
+        numericLegendRef.current = { type, missing: missingNodes.length, extent: [minVal, maxVal], histogram, bins, colorOf };
+
+        const palMap = {};
+        numericData.forEach(d => { palMap[d.node] = colorOf(d.v); });
+        missingNodes.forEach(node => { palMap[node] = MISSING_COLOR; });
+        newNumericValues = new Map(numericData.map(d => [d.node, d.v]));
+        missingNodes.forEach(node => newNumericValues.set(node, null));
         newPalette = palMap;
         newCommunities = [];
         newVisibleComms = new Set();
-        newNumericPaletteState = palColors;
+        newNumericPaletteState = bins ? bins.map(bin => bin.color) : palColors;
         newIsNumeric = true;
       } else {
-        // Categorical mode
-        const commSet = new Set();
-        graph.forEachNode((node, attrs) => {
-          const v = attrs[colorBy];
-          if (v != null) commSet.add(v);
-        });
-        const allComms = Array.from(commSet);
-        let colorsCat = iwanthue(allComms.length) || [];
-        for (let i = colorsCat.length - 1; i > 0; i--) {
-          const j = Math.floor(Math.random() * (i + 1));
-          [colorsCat[i], colorsCat[j]] = [colorsCat[j], colorsCat[i]];
+        // Categorical mode: use the worker's precomputed palette for this column unless it has been restyled
+        let categorical = type === 'categorical' && isEmptyStyle(style) ? network?.palettes?.[colorBy] : null;
+        if (!categorical) {
+          categorical = type === 'boolean'
+            ? computeBooleanPalette(columnValues, { seed: colorBy, ...style })
+            : computeCategoricalPalette(columnValues, { seed: colorBy, ...style });
         }
-        const nonMissing = allComms.filter(c => c !== '').sort((a, b) => a.localeCompare(b));
-        const missing = allComms.includes('') ? [''] : [];
-        newCommunities = [...nonMissing, ...missing];
+        if (type === 'categorical') rememberAssignedColors(colorBy, style ?? DEFAULT_CATEGORICAL_STYLE, categorical.assigned);
+        newCommunities = categorical.communities;
         newVisibleComms = new Set(newCommunities);
-        const pal = {};
-        newCommunities.forEach((comm, i) => {
-          pal[comm] = comm === '' ? '#d3d3d3' : (colorsCat[i] ?? '#888');
-        });
-        newPalette = pal;
+        newPalette = categorical.palette;
         newIsNumeric = false;
       }
 
@@ -570,8 +1409,23 @@ function SigmaNetwork({
       setIsNumeric(newIsNumeric);
       setPalette(newPalette);
       setCommunities(newCommunities);
-      setVisibleComms(newVisibleComms);
+      const pendingLegend = pendingLegendRef.current;
+      if (pendingLegend?.colorBy === colorBy) {
+        pendingLegendRef.current = null;
+        applyLegendSelection(pendingLegend, newCommunities);
+      } else if (legendColumnRef.current === colorBy) {
+        // Recoloring the same column (palette, scale, rebuilt graph) keeps hidden categories hidden
+        const previous = new Set(communities);
+        newVisibleComms = new Set(newCommunities.filter(c => visibleComms.has(c) || !previous.has(c)));
+        setVisibleComms(newVisibleComms);
+      } else {
+        setVisibleComms(newVisibleComms);
+        setNumericRange(null);
+      }
+      legendColumnRef.current = colorBy;
+      communitiesRef.current = newCommunities;
       if (newNumericPaletteState) setNumericPaletteState(newNumericPaletteState);
+      if (newNumericValues) setNumericValues(newNumericValues);
     } finally {
       handleCommunitiesRunning.current = false;
     }
@@ -583,8 +1437,57 @@ function SigmaNetwork({
   return (
     <div style={{ position: 'relative', width: '100%', height: '100%' }}>
       <div ref={containerRef} className="sigma-container" style={{ width: '100%', height: '100%' }} />
+      {/* Lasso outline while shift-dragging */}
+      <svg style={{ position: 'absolute', top: 0, left: 0, width: '100%', height: '100%', pointerEvents: 'none', zIndex: 10 }}>
+        <polygon ref={lassoShapeRef} points="" fill="rgba(79,172,254,0.15)" stroke="#4facfe" strokeDasharray="4 3" />
+      </svg>
       {/* Bottom-right independent panels */}
       <div style={{ position: 'absolute', bottom: 10, right: 10, zIndex: 20, display: 'flex', flexDirection: 'column', alignItems: 'flex-end' }}>
+        {/* Selection summary */}
+        {selectedNodes.size > 0 && (
+          <div style={{ marginBottom: '6px', width: 220, maxHeight: '30vh', overflowY: 'auto', background: '#fff', border: '1px solid #ccc', borderRadius: 4, padding: '8px', fontSize: '11px', boxShadow: '0 2px 6px rgba(0,0,0,0.15)' }}>
+            <strong style={{ display: 'block', marginBottom: '4px' }}>
+              {selectedNodes.size} node{selectedNodes.size === 1 ? '' : 's'} selected
+            </strong>
+            {selectionSummary?.numeric && (
+              <div style={{ marginBottom: '3px' }}>
+                {colorBy}: {formatLegendValue(selectionSummary.min)} – {formatLegendValue(selectionSummary.max)} (mean {formatLegendValue(selectionSummary.mean)})
+              </div>
+            )}
+            {selectionSummary && !selectionSummary.numeric && (
+              <>
+                <div style={{ marginBottom: '3px', fontStyle: 'italic' }}>{colorBy}</div>
+                {selectionSummary.counts.slice(0, 8).map(([value, count]) => (
+                  <div key={String(value)} style={{ display: 'flex', alignItems: 'center', marginBottom: '3px' }}>
+                    <span style={{ width: '8px', height: '8px', backgroundColor: palette[value], marginRight: '6px', flexShrink: 0 }} />
+                    {value == null || value === '' ? '(missing)' : String(value)}: {count}
+                  </div>
+                ))}
+                {selectionSummary.counts.length > 8 && (
+                  <div style={{ marginBottom: '3px' }}>...and {selectionSummary.counts.length - 8} more</div>
+                )}
+              </>
+            )}
+            <label style={{ display: 'flex', alignItems: 'center', gap: 6, margin: '6px 0' }}>
+              <input type="checkbox" checked={selectionEdgesWithin} onChange={e => setSelectionEdgesWithin(e.target.checked)} />
+              Only edges within selection
+            </label>
+            <div style={{ display: 'flex', gap: 6 }}>
+              <button onClick={exportSelectedIds} style={legendButtonStyle}>Export IDs</button>
+              {onCompareSelection && selectedNodes.size >= 2 && (
+                <button
+                  onClick={onCompareSelection}
+                  disabled={selectedNodes.size > MAX_COMPARED_MAPS}
+                  style={legendButtonStyle}
+                  title={selectedNodes.size > MAX_COMPARED_MAPS ? `Select at most ${MAX_COMPARED_MAPS} nodes to compare their maps` : 'Show the selected plasmid maps side by side'}
+                >
+                  Compare Maps
+                </button>
+              )}
+              <button onClick={() => setSelectedNodes?.(new Set())} style={legendButtonStyle}>Clear</button>
+            </div>
+          </div>
+        )}
         {/* Hover/Click Info Panel */}
         {displayNode && (
           <div style={{ marginBottom: '6px', width: 220, maxHeight: '30vh', overflowY: 'auto', background: '#fff', border: '1px solid #ccc', borderRadius: 4, padding: '8px', fontSize: '11px', boxShadow: '0 2px 6px rgba(0,0,0,0.15)' }}>
@@ -592,6 +1495,29 @@ function SigmaNetwork({
             {metadataRef.current?.[displayNode] && Object.entries(metadataRef.current[displayNode]).map(([key, value]) => (
               key !== 'id' && <div key={key} style={{ marginBottom: '3px' }}>{key}: {String(value)}</div>
             ))}
+            {displayNode === highlightedNode && neighborList.length > 0 && (
+              <div style={{ marginTop: '6px', borderTop: '1px solid #eee', paddingTop: '4px' }}>
+                <strong style={{ display: 'block', marginBottom: '3px' }}>
+                  {neighborhoodDepth > 1 ? `Neighborhood (${neighborhoodDepth} hops)` : 'Neighbors'}: {neighborList.length}
+                </strong>
+                {neighborList.slice(0, MAX_LISTED_NEIGHBORS).map(({ node, hop, weight }) => (
+                  <div
+                    key={node}
+                    onClick={() => centerOnNode(node)}
+                    style={{ display: 'flex', alignItems: 'center', marginBottom: '2px', cursor: 'pointer' }}
+                    title={`Center on ${node}`}
+                  >
+                    {egoNodes && <span style={{ width: '8px', height: '8px', backgroundColor: HOP_COLORS[hop], marginRight: '6px', flexShrink: 0 }} />}
+                    <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis' }}>{node}</span>
+                    {neighborhoodDepth > 1 && <span style={{ color: '#666', marginLeft: '6px' }}>{hop} hop{hop === 1 ? '' : 's'}</span>}
+                    {weight != null && <span style={{ color: '#666', marginLeft: '6px' }}>{formatWeight(Number(weight))}</span>}
+                  </div>
+                ))}
+                {neighborList.length > MAX_LISTED_NEIGHBORS && (
+                  <div>...and {neighborList.length - MAX_LISTED_NEIGHBORS} more</div>
+                )}
+              </div>
+            )}
           </div>
         )}
         {/* Legend Panel */}
@@ -609,17 +1535,57 @@ function SigmaNetwork({
               // Continuous colorbar for numeric values
               <div>
                 <div style={{ marginBottom: '10px', fontWeight: 'bold' }}>{colorBy}</div>
-                <div style={{ 
-                  height: '20px', 
-                  background: `linear-gradient(to right, ${numericPaletteState.join(', ')})`,
-                  border: '1px solid #ccc',
-                  borderRadius: '3px',
-                  marginBottom: '8px'
-                }} />
-                <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '10px' }}>
-                  <span>{numericDomainRef.current[0]?.toFixed(2)}</span>
-                  <span>{numericDomainRef.current[1]?.toFixed(2)}</span>
+                {numericLegendRef.current.bins ? (
+                  // One swatch per bin
+                  numericLegendRef.current.bins.map((bin, i) => (
+                    <div key={i} style={{ display: 'flex', alignItems: 'center', marginBottom: '3px' }}>
+                      <span style={{ width: '10px', height: '10px', backgroundColor: bin.color, marginRight: '6px', flexShrink: 0 }} />
+                      {formatLegendValue(bin.from)} – {formatLegendValue(bin.to)}
+                    </div>
+                  ))
+                ) : (
+                  <>
+                    <div style={{ 
+                      height: '20px', 
+                      background: `linear-gradient(to right, ${numericPaletteState.join(', ')})`,
+                      border: '1px solid #ccc',
+                      borderRadius: '3px',
+                      marginBottom: '8px'
+                    }} />
+                    <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '10px' }}>
+                      <span>{formatLegendValue(numericDomainRef.current[0])}</span>
+                      <span>{formatLegendValue(numericDomainRef.current[1])}</span>
+                    </div>
+                  </>
+                )}
+                {/* Histogram with a brush: nodes outside the brushed range are hidden or dimmed */}
+                <div style={{ marginTop: 8 }}>
+                  <HistogramBrush
+                    counts={numericLegendRef.current.histogram}
+                    domain={numericLegendRef.current.extent}
+                    range={numericRange}
+                    colorOf={numericLegendRef.current.colorOf ?? (() => '#999')}
+                    formatValue={formatLegendValue}
+                    onChange={setNumericRange}
+                  />
+                  <div style={{ display: 'flex', alignItems: 'center', gap: 6, marginTop: 4 }}>
+                    <label htmlFor="rangeModeSelect">Outside range:</label>
+                    <select id="rangeModeSelect" value={rangeMode} onChange={e => setRangeMode(e.target.value)}>
+                      <option value="hide">Hide</option>
+                      <option value="dim">Dim</option>
+                    </select>
+                  </div>
+                  <label style={{ display: 'flex', alignItems: 'center', gap: 6, marginTop: 4 }}>
+                    <input type="checkbox" checked={clampToRange} onChange={e => setClampToRange(e.target.checked)} />
+                    Stretch colors over the range
+                  </label>
                 </div>
+                {numericLegendRef.current.missing > 0 && (
+                  <div style={{ display: 'flex', alignItems: 'center', marginTop: '6px' }}>
+                    <span style={{ width: '10px', height: '10px', backgroundColor: MISSING_COLOR, marginRight: '6px', flexShrink: 0 }} />
+                    (missing): {numericLegendRef.current.missing}
+                  </div>
+                )}
                 {/* Palette selector dropdown for numeric columns */}
                 <div style={{ marginTop: 8 }}>
                   <label htmlFor="paletteSelect" style={{ marginRight: 8 }}>Color palette:</label>
@@ -647,31 +1613,149 @@ function SigmaNetwork({
                     <option value="pow">Power (2)</option>
                   </select>
                 </div>
+                {/* Binning: continuous colors, equal-count bins or bins between custom break values */}
+                <div style={{ marginTop: 8 }}>
+                  <label htmlFor="binningSelect" style={{ marginRight: 8 }}>Bins:</label>
+                  <select id="binningSelect" value={binning} onChange={e => setBinning(e.target.value)}>
+                    {BINNING_MODES.map(m => (
+                      <option key={m.value} value={m.value}>{m.label}</option>
+                    ))}
+                  </select>
+                  {binning === 'quantile' && (
+                    <select value={binCount} onChange={e => setBinCount(Number(e.target.value))} style={{ marginLeft: 6 }}>
+                      {Array.from({ length: MAX_QUANTILE_BINS - 1 }, (_, i) => i + 2).map(n => (
+                        <option key={n} value={n}>{n}</option>
+                      ))}
+                    </select>
+                  )}
+                </div>
+                {binning === 'breaks' && (
+                  <input
+                    type="text"
+                    value={breaksText}
+                    placeholder={numericLegendRef.current.type === 'date' ? 'e.g. 2015-01-01, 2020-01-01' : 'e.g. 10, 50, 100'}
+                    title="Break values separated by commas; press Enter to apply"
+                    onChange={e => setBreaksText(e.target.value)}
+                    onBlur={e => parseBreaks(e.target.value)}
+                    onKeyDown={e => { if (e.key === 'Enter') parseBreaks(e.currentTarget.value); }}
+                    style={{ width: '100%', boxSizing: 'border-box', marginTop: 4 }}
+                  />
+                )}
+                <label style={{ display: 'flex', alignItems: 'center', gap: 6, marginTop: 8 }}>
+                  <input type="checkbox" checked={isReversed} onChange={e => setIsReversed(e.target.checked)} />
+                  Reverse palette
+                </label>
               </div>
             ) : (
               // Discrete legend for categorical values
               <div>
                 <button onClick={toggleAll} style={{
-                  ...buttonStyle,
+                  ...legendButtonStyle,
                   width: '100%',
                   marginBottom: '10px',
                 }}>
                   {visibleComms.size < communities.length ? 'Show All' : 'Hide All'}
                 </button>
+                {/* Palette preset and per-category colors, remembered for this dataset and column */}
+                <div style={{ display: 'flex', alignItems: 'center', gap: 6, marginBottom: 8 }}>
+                  <label htmlFor="categoricalPaletteSelect">Palette:</label>
+                  <select
+                    id="categoricalPaletteSelect"
+                    value={categoricalStyle.preset}
+                    onChange={e => setCategoricalStyle(colorBy, { ...categoricalStyle, preset: e.target.value, assigned: {} })}
+                    style={{ flex: 1, minWidth: 0 }}
+                  >
+                    {CATEGORICAL_PRESETS.map(name => (
+                      <option key={name} value={name}>{name === AUTO_PRESET ? 'Auto (iwanthue)' : `${name} (${presetSize(name)})`}</option>
+                    ))}
+                  </select>
+                  {!isDefaultStyle(categoricalStyle) && (
+                    <span onClick={() => setCategoricalStyle(colorBy, DEFAULT_CATEGORICAL_STYLE)} style={{ cursor: 'pointer', color: '#888', fontSize: '10px' }} title="Back to the default palette without overrides">
+                      reset
+                    </span>
+                  )}
+                </div>
                 {communities.map(comm => (
                   <div key={comm} style={{ display: 'flex', alignItems: 'center', marginBottom: '4px' }}>
-                    <span onClick={() => toggleComm(comm)} style={{ width: '10px', height: '10px', backgroundColor: palette[comm], marginRight: '6px', cursor: 'pointer', opacity: visibleComms.has(comm) ? 1 : 0.3, flexShrink: 0 }} />
+                    <span onClick={() => toggleComm(comm)} style={{ width: '10px', height: '10px', backgroundColor: palette[comm], marginRight: '4px', cursor: 'pointer', opacity: visibleComms.has(comm) ? 1 : 0.3, flexShrink: 0, outline: categoricalStyle.colors[comm] ? '1px solid #333' : 'none' }} />
+                    <label title="Pick a color for this category" style={{ position: 'relative', marginRight: '4px', cursor: 'pointer', color: '#888', fontSize: '10px', flexShrink: 0 }}>
+                      ✎
+                      <input
+                        type="color"
+                        value={/^#[0-9a-f]{6}$/i.test(palette[comm] ?? '') ? palette[comm] : '#888888'}
+                        onChange={e => setCategoryColor(comm, e.target.value)}
+                        style={{ position: 'absolute', left: 0, top: 0, width: '100%', height: '100%', opacity: 0, padding: 0, border: 'none', cursor: 'pointer' }}
+                      />
+                    </label>
                     <span onClick={() => toggleHighlight(comm)} style={{ cursor: 'pointer', fontWeight: highlightedComms.has(comm) ? 'bold' : 'normal', fontSize: '11px' }}>
                       {comm || '(missing)'}
                     </span>
+                    <span
+                      onClick={e => selectCategory(comm, e.shiftKey)}
+                      title="Select all visible nodes in this category (shift to add to the selection)"
+                      style={{ marginLeft: 'auto', cursor: 'pointer', color: '#888', fontSize: '10px' }}
+                    >
+                      select
+                    </span>
                   </div>
                 ))}
               </div>
             )}
+            {/* Size legend for the "Size by" column */}
+            {sizeMapping && (
+              <div style={{ marginTop: '10px', paddingTop: '8px', borderTop: '1px solid #eee' }}>
+                <div style={{ marginBottom: '6px', fontWeight: 'bold' }}>Size: {sizeMapping.column}</div>
+                {sizeLegendStops.map(value => {
+                  const radius = sizeMapping.sizeOf(value);
+                  return (
+                    <div key={value} style={{ display: 'flex', alignItems: 'center', marginBottom: '3px' }}>
+                      <span style={{ width: 2 * sizeRange[1], display: 'flex', justifyContent: 'center', marginRight: '6px', flexShrink: 0 }}>
+                        <span style={{ width: 2 * radius, height: 2 * radius, borderRadius: '50%', background: '#999' }} />
+                      </span>
+                      {Number(value.toPrecision(4))}
+                    </div>
+                  );
+                })}
+                <div style={{ marginTop: 8 }}>
+                  <label htmlFor="sizeScaleSelect" style={{ marginRight: 8 }}>Scale:</label>
+                  <select id="sizeScaleSelect" value={sizeScaleType} onChange={e => setSizeScaleType(e.target.value)}>
+                    {SCALE_TYPES.map(t => (
+                      <option key={t.value} value={t.value}>{t.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div style={{ marginTop: 8, display: 'flex', alignItems: 'center', gap: 6 }}>
+                  Radius:
+                  <input
+                    type="number"
+                    min="0.1"
+                    step="0.5"
+                    value={sizeRange[0]}
+                    onChange={e => {
+                      const lo = Number(e.target.value);
+                      if (lo > 0) setSizeRange([lo, Math.max(lo, sizeRange[1])]);
+                    }}
+                    style={{ width: 45, fontSize: 11 }}
+                  />
+                  to
+                  <input
+                    type="number"
+                    min="0.1"
+                    step="0.5"
+                    value={sizeRange[1]}
+                    onChange={e => {
+                      const hi = Number(e.target.value);
+                      if (hi > 0) setSizeRange([Math.min(sizeRange[0], hi), hi]);
+                    }}
+                    style={{ width: 45, fontSize: 11 }}
+                  />
+                </div>
+              </div>
+            )}
           </div>
         )}
         {/* Legend Toggle Button */}
-        <button onClick={() => setShowLegend(prev => !prev)} style={buttonStyle}>
+        <button onClick={() => setShowLegend(prev => !prev)} style={legendButtonStyle}>
           {showLegend ? 'Hide Legend' : 'Show Legend'}
         </button>
       </div>
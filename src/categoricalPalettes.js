@@ -0,0 +1,160 @@
+// Categorical palettes: seeded iwanthue colors ("Auto") or a dicopal qualitative scheme, plus
+// per-category color overrides. Either way a category keeps the color it was first given, so adding
+// or removing other categories leaves it alone. Styles ({ preset, colors, assigned }) are remembered
+// per dataset and column in localStorage.
+
+import iwanthue from 'iwanthue';
+import { getPalettes } from 'dicopal';
+import { mulberry32, hashString } from './random.js';
+import { parseColor } from './colorUtils.js';
+
+export const AUTO_PRESET = 'auto';
+export const DEFAULT_CATEGORICAL_STYLE = { preset: AUTO_PRESET, colors: {}, assigned: {} };
+
+const STORAGE_PREFIX = 'plasmid_network:palette:';
+
+// Qualitative schemes by name, each as its variants sorted by number of colors
+const SCHEMES = new Map();
+getPalettes({ type: 'qualitative' }).forEach(palette => {
+  if (!SCHEMES.has(palette.name)) SCHEMES.set(palette.name, []);
+  SCHEMES.get(palette.name).push(palette);
+});
+SCHEMES.forEach(variants => variants.sort((a, b) => a.number - b.number));
+
+export const CATEGORICAL_PRESETS = [AUTO_PRESET, ...SCHEMES.keys()];
+
+// Largest number of colors a preset has (Infinity for Auto)
+export const presetSize = (preset) => {
+  const variants = SCHEMES.get(preset);
+  return variants ? variants[variants.length - 1].number : Infinity;
+};
+
+// Distinct colors that only depend on count and seed; shuffled so neighboring categories don't get similar hues
+const seededHues = (count, seed) => {
+  if (count <= 0) return [];
+  const colors = [...(iwanthue(count, { seed }) || [])];
+  const rng = mulberry32(hashString(seed));
+  for (let i = colors.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [colors[i], colors[j]] = [colors[j], colors[i]];
+  }
+  return colors;
+};
+
+// iwanthue colors for values new to a palette. The palette is sized for the colors already taken plus
+// the new values; with nothing taken yet they get it in order, otherwise each value takes the color
+// farthest from those in use, so it stays distinct from the categories that keep their colors.
+const addHues = (values, seed, taken) => {
+  const candidates = seededHues(taken.length + values.length, seed).map(color => ({ color, rgb: parseColor(color) }));
+  if (!taken.length) return Object.fromEntries(values.map((value, i) => [value, candidates[i].color]));
+  const distance = (a, b) => (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+  const nearest = candidates.map(() => Infinity);
+  const take = (rgb) => candidates.forEach((c, i) => { nearest[i] = Math.min(nearest[i], distance(c.rgb, rgb)); });
+  taken.map(parseColor).filter(Boolean).forEach(take);
+  const used = new Set();
+  const colors = {};
+  values.forEach(value => {
+    let best = -1;
+    candidates.forEach((c, i) => {
+      if (!used.has(i) && (best === -1 || nearest[i] > nearest[best])) best = i;
+    });
+    used.add(best);
+    take(candidates[best].rgb);
+    colors[value] = candidates[best].color;
+  });
+  return colors;
+};
+
+/**
+ * Colors for category values under a preset, keyed by value. assigned holds what earlier calls handed
+ * out (value -> scheme index, or a color for values past the scheme's size and under Auto) and comes
+ * back extended: new values take the scheme's lowest free slots in the order given, then colors from
+ * addHues, so with nothing assigned Auto is the seeded iwanthue palette for the values.
+ */
+export const presetColors = (values, { preset = AUTO_PRESET, seed = '', assigned = {} } = {}) => {
+  const variants = SCHEMES.get(preset);
+  const scheme = variants ? variants[variants.length - 1].colors : [];
+  const next = { ...assigned };
+  const used = new Set(Object.values(next));
+  const unplaced = [];
+  let free = 0;
+  values.forEach(value => {
+    if (next[value] !== undefined) return;
+    while (used.has(free)) free++;
+    if (free < scheme.length) {
+      next[value] = free;
+      used.add(free);
+    } else {
+      unplaced.push(value);
+    }
+  });
+  const colorOf = (slot) => (typeof slot === 'number' ? scheme[slot] : slot);
+  if (unplaced.length) Object.assign(next, addHues(unplaced, seed, Object.values(next).map(colorOf)));
+  const colors = {};
+  values.forEach(value => { colors[value] = colorOf(next[value]); });
+  return { colors, assigned: next };
+};
+
+/**
+ * count colors from a preset, by position (for the two colors of boolean columns). Schemes with
+ * fewer colors than that are topped up with seeded iwanthue colors.
+ */
+export const categoricalColors = (count, { preset = AUTO_PRESET, seed = '' } = {}) => {
+  const variants = SCHEMES.get(preset);
+  if (!variants) return seededHues(count, seed);
+  const variant = variants.find(v => v.number >= count) ?? variants[variants.length - 1];
+  const base = variant.colors.slice(0, count);
+  return [...base, ...seededHues(count - base.length, seed)];
+};
+
+// Default preset without overrides; colors remembered for categories don't count
+export const isDefaultStyle = (style) =>
+  !style || ((style.preset ?? AUTO_PRESET) === AUTO_PRESET && Object.keys(style.colors ?? {}).length === 0);
+
+// Nothing to remember at all: the default style with no colors handed out yet
+export const isEmptyStyle = (style) => isDefaultStyle(style) && Object.keys(style?.assigned ?? {}).length === 0;
+
+const isHexColor = (color) => typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color);
+
+// Keep only a known preset, valid #rrggbb overrides and assignments (slots within the scheme or colors)
+export const sanitizeStyle = (style) => {
+  const preset = CATEGORICAL_PRESETS.includes(style?.preset) ? style.preset : AUTO_PRESET;
+  const colors = {};
+  Object.entries(style?.colors ?? {}).forEach(([value, color]) => {
+    if (isHexColor(color)) colors[value] = color;
+  });
+  const slots = SCHEMES.has(preset) ? presetSize(preset) : 0;
+  const assigned = {};
+  Object.entries(style?.assigned ?? {}).forEach(([value, slot]) => {
+    if (isHexColor(slot) || (Number.isInteger(slot) && slot >= 0 && slot < slots)) assigned[value] = slot;
+  });
+  return { preset, colors, assigned };
+};
+
+const storagePrefix = (datasetName) => `${STORAGE_PREFIX}${encodeURIComponent(datasetName)}:`;
+
+// All stored styles for a dataset: column -> { preset, colors, assigned }
+export const loadCategoricalStyles = (datasetName) => {
+  const styles = {};
+  try {
+    const prefix = storagePrefix(datasetName);
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (!key?.startsWith(prefix)) continue;
+      styles[decodeURIComponent(key.slice(prefix.length))] = sanitizeStyle(JSON.parse(localStorage.getItem(key)));
+    }
+  } catch (err) {
+    console.warn('[categoricalPalettes] Could not read stored palettes:', err);
+  }
+  return styles;
+};
+
+export const saveCategoricalStyle = (datasetName, column, style) => {
+  try {
+    const key = storagePrefix(datasetName) + encodeURIComponent(column);
+    if (isEmptyStyle(style)) localStorage.removeItem(key);
+    else localStorage.setItem(key, JSON.stringify(style));
+  } catch (err) {
+    console.warn('[categoricalPalettes] Could not store the palette:', err);
+  }
+};
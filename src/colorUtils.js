@@ -0,0 +1,23 @@
+// Color string helpers for the hex and rgb()/rgba() colors used by palettes and Sigma
+
+// Split '#rrggbb', '#rgb' or 'rgb(a)(r,g,b)' into integer channels; null if unrecognised
+export const parseColor = (color) => {
+  if (typeof color !== 'string') return null;
+  let m = color.match(/^#([0-9a-f]{6})$/i);
+  if (m) {
+    const n = parseInt(m[1], 16);
+    return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+  }
+  m = color.match(/^#([0-9a-f]{3})$/i);
+  if (m) return m[1].split('').map(c => parseInt(c + c, 16));
+  m = color.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i);
+  if (m) return [Number(m[1]), Number(m[2]), Number(m[3])];
+  return null;
+};
+
+// Return the color as rgba() with the given opacity (unparseable colors pass through)
+export const withAlpha = (color, alpha) => {
+  const rgb = parseColor(color);
+  if (!rgb) return color;
+  return `rgba(${rgb[0]},${rgb[1]},${rgb[2]},${Math.round(alpha * 1000) / 1000})`;
+};
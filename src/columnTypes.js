@@ -0,0 +1,85 @@
+// Column types for "Color by": inferred from a column's values, ignoring missing ones, unless the
+// user picks one. Numeric and date columns get a gradient; categorical and boolean ones a legend.
+
+export const COLUMN_TYPES = [
+  { value: 'categorical', label: 'Categorical' },
+  { value: 'numeric', label: 'Numeric' },
+  { value: 'date', label: 'Date' },
+  { value: 'boolean', label: 'Boolean' },
+];
+
+// Spellings of "no value" in exported tables
+const MISSING_TEXT = new Set(['', 'na', 'n/a', 'nan', 'null']);
+const TRUE_TEXT = new Set(['true', 'yes']);
+const FALSE_TEXT = new Set(['false', 'no']);
+// ISO-style dates (2021-03, 2021-03-04, 2021-03-04T10:00:00Z) and 2021/3/4; bare years stay numeric
+const DATE_PATTERN = /^\d{4}-\d{1,2}(-\d{1,2})?([T ]\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$|^\d{4}\/\d{1,2}\/\d{1,2}$/;
+// Numeric-looking identifiers (taxids, accessions, cluster numbers) shouldn't get a gradient
+const ID_COLUMN = /(^|_)(id|ids|uid|accession|taxid|code)$/i;
+
+export const isMissingValue = (v) =>
+  v == null || (typeof v === 'number' && Number.isNaN(v)) || (typeof v === 'string' && MISSING_TEXT.has(v.trim().toLowerCase()));
+
+export const parseBoolean = (v) => {
+  if (typeof v === 'boolean') return v;
+  const text = String(v).trim().toLowerCase();
+  if (TRUE_TEXT.has(text)) return true;
+  if (FALSE_TEXT.has(text)) return false;
+  return null;
+};
+
+// Milliseconds since the epoch, or null
+export const parseDate = (v) => {
+  if (v instanceof Date) return Number.isNaN(v.getTime()) ? null : v.getTime();
+  const text = String(v).trim();
+  if (!DATE_PATTERN.test(text)) return null;
+  const time = Date.parse(text.replace(/\//g, '-'));
+  return Number.isNaN(time) ? null : time;
+};
+
+const parseNumber = (v) => {
+  if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+  if (typeof v === 'bigint') return Number(v);
+  const text = String(v).trim();
+  if (text === '') return null;
+  const n = Number(text);
+  return Number.isFinite(n) ? n : null;
+};
+
+/**
+ * Value used for gradient coloring under a column type: the number itself, or a date's timestamp.
+ * null for missing values and values that don't parse as that type.
+ */
+export const toScalar = (v, type) => {
+  if (isMissingValue(v)) return null;
+  return type === 'date' ? parseDate(v) : parseNumber(v);
+};
+
+/**
+ * Type for a column's values; column is its name, used to keep numeric-looking identifiers categorical.
+ * Missing values are ignored, so one empty cell doesn't turn a numeric column into categories.
+ */
+export const inferColumnType = (values, column = '') => {
+  let present = 0, numbers = 0, dates = 0, booleans = 0, leadingZero = false;
+  for (const v of values) {
+    if (isMissingValue(v)) continue;
+    present++;
+    if (parseNumber(v) != null) {
+      numbers++;
+      if (typeof v === 'string' && /^\s*-?0\d/.test(v)) leadingZero = true;
+    } else if (parseDate(v) != null) {
+      dates++;
+    }
+    if (parseBoolean(v) != null) booleans++;
+  }
+  if (present === 0) return 'categorical';
+  if (booleans === present && numbers === 0) return 'boolean';
+  if (numbers === present) return leadingZero || ID_COLUMN.test(column) ? 'categorical' : 'numeric';
+  if (dates === present) return 'date';
+  return 'categorical';
+};
+
+// Gradient types share the numeric legend; the others share the categorical one
+export const isScalarType = (type) => type === 'numeric' || type === 'date';
+
+export const formatDate = (time) => new Date(time).toISOString().slice(0, 10);
@@ -0,0 +1,48 @@
+// Web Worker for Louvain community detection
+// Runs over the full edge list so the main thread stays responsive on large networks
+
+import Graph from 'graphology';
+import louvain from 'graphology-communities-louvain';
+import { mulberry32 } from './random.js';
+
+self.onmessage = function(event) {
+  const { type, nodes, edges, weighted, resolution } = event.data;
+
+  if (type === 'DETECT_COMMUNITIES') {
+    try {
+      const graph = new Graph({ type: 'undirected' });
+      nodes.forEach(node => graph.addNode(node));
+      edges.forEach(([source, target, weight]) => {
+        if (source === target || !graph.hasNode(source) || !graph.hasNode(target)) return;
+        graph.mergeEdge(source, target, { weight: weighted ? (weight ?? 1) : 1 });
+      });
+
+      const result = louvain.detailed(graph, {
+        getEdgeWeight: weighted ? 'weight' : null,
+        resolution,
+        rng: mulberry32(42),
+      });
+
+      // Relabel communities by size (C1 = largest) so labels are stable and never look numeric
+      const sizes = {};
+      Object.values(result.communities).forEach(c => { sizes[c] = (sizes[c] || 0) + 1; });
+      const order = Object.keys(sizes).sort((a, b) => sizes[b] - sizes[a] || a - b);
+      const labelOf = {};
+      order.forEach((c, i) => { labelOf[c] = `C${i + 1}`; });
+      const assignments = {};
+      Object.entries(result.communities).forEach(([node, c]) => { assignments[node] = labelOf[c]; });
+
+      self.postMessage({
+        type: 'COMMUNITIES_DETECTED',
+        assignments,
+        count: result.count,
+        modularity: result.modularity,
+      });
+    } catch (error) {
+      self.postMessage({
+        type: 'COMMUNITIES_ERROR',
+        error: error.message
+      });
+    }
+  }
+};
@@ -1,114 +1,132 @@
 // Web Worker for handling heavy data processing tasks
-// This keeps the main thread free for smooth animations
+// This keeps the main thread free for smooth animations: parquet parsing, edge
+// deduplication, graph construction and initial palettes all happen here.
 
 import { parquetReadObjects } from 'hyparquet';
+import {
+  LOADING_STATES,
+  LoadCancelledError,
+  buildNetwork,
+  networkTransferables,
+} from './networkBuilder.js';
 
-const LOADING_STATES = [
-  'Loading node data...',
-  'Loading edge data...',
-  'Creating network...',
-  'Coloring network...'
-];
+// Only one load runs at a time; a new request or CANCEL stops the previous one
+let activeRequest = null;
 
-// Handle messages from main thread
-self.onmessage = async function(event) {
-  const { type, baseUrl } = event.data;
-  
-  if (type === 'LOAD_DATA') {
-    try {
-      // Send progress updates to main thread
-      const postProgress = (stage, progress, status) => {
-        self.postMessage({
-          type: 'PROGRESS_UPDATE',
-          stage,
-          progress,
-          status
-        });
-      };
-
-      // 1. Load node data
-      postProgress(0, 0, LOADING_STATES[0]);
-      
-      const nodeUrl = baseUrl + 'data/scatter_small.parquet';
-      const nodeResponse = await fetch(nodeUrl);
-      const nodeBuffer = await nodeResponse.arrayBuffer();
-      
-      // Process node data in chunks to avoid blocking
-      const nodeRows = await parquetReadObjects({ file: nodeBuffer });
-      
-      postProgress(0, 25, LOADING_STATES[0]);
-      
-      // Send node data to main thread
-      self.postMessage({
-        type: 'NODE_DATA_LOADED',
-        data: nodeRows
-      });
+// Fetch a file while reporting download progress (0..1) when the size is known
+const fetchWithProgress = async (url, signal, onProgress) => {
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${url}: ${response.status} ${response.statusText}`);
+  }
+  const total = Number(response.headers.get('content-length')) || 0;
+  if (!total || !response.body) return response.arrayBuffer();
+  const reader = response.body.getReader();
+  const chunks = [];
+  let received = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    received += value.length;
+    // Content-Length is the compressed size for encoded responses, so cap at 1
+    onProgress(Math.min(received / total, 1));
+  }
+  const buffer = new Uint8Array(received);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    buffer.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return buffer.buffer;
+};
 
-      // 2. Load edge data
-      postProgress(1, 25, LOADING_STATES[1]);
-      
-      const edgeUrl = baseUrl + 'data/mock_edges.parquet';
-      const edgeResponse = await fetch(edgeUrl);
-      const edgeBuffer = await edgeResponse.arrayBuffer();
-      
-      // Process edge data in chunks to avoid blocking
-      const edgeRows = await parquetReadObjects({ file: edgeBuffer });
-      
-      postProgress(1, 50, LOADING_STATES[1]);
-      
-      // Send edge data to main thread
-      self.postMessage({
-        type: 'EDGE_DATA_LOADED',
-        data: edgeRows
-      });
+const runLoad = async (request, loadRows) => {
+  const { id, colorBy } = request;
+  const postProgress = (stage, progress, status = LOADING_STATES[stage]) => {
+    if (request.cancelled) return;
+    self.postMessage({
+      type: 'PROGRESS_UPDATE',
+      requestId: id,
+      stage,
+      progress: Math.round(progress),
+      status
+    });
+  };
 
-      // 3. Simulate network creation processing
-      postProgress(2, 50, LOADING_STATES[2]);
-      
-      // Simulate some heavy computation with yielding
-      await new Promise(resolve => {
-        let progress = 50;
-        const step = () => {
-          progress += 5;
-          if (progress <= 75) {
-            postProgress(2, progress, LOADING_STATES[2]);
-            setTimeout(step, 50); // Yield to keep animations smooth
-          } else {
-            postProgress(2, 75, LOADING_STATES[2]);
-            resolve();
-          }
-        };
-        step();
-      });
+  try {
+    const { metadataRows, edgeRows } = await loadRows(postProgress);
+    if (request.cancelled) throw new LoadCancelledError();
 
-      // 4. Simulate network coloring
-      postProgress(3, 75, LOADING_STATES[3]);
-      
-      await new Promise(resolve => {
-        let progress = 75;
-        const step = () => {
-          progress += 5;
-          if (progress <= 100) {
-            postProgress(3, progress, LOADING_STATES[3]);
-            setTimeout(step, 50); // Yield to keep animations smooth
-          } else {
-            resolve();
-          }
-        };
-        step();
-      });
+    // 3. Build the network (50% -> 75%), 4. palettes (75% -> 100%)
+    postProgress(2, 50);
+    const network = await buildNetwork(metadataRows, edgeRows, {
+      colorBy,
+      isCancelled: () => request.cancelled,
+      onProgress: fraction => {
+        if (fraction < 0.9) postProgress(2, 50 + 25 * fraction / 0.9);
+        else postProgress(3, 75 + 25 * (fraction - 0.9) / 0.1);
+      },
+    });
 
-      // Signal completion
-      self.postMessage({
-        type: 'LOADING_COMPLETE'
-      });
-      
-    } catch (error) {
+    self.postMessage({
+      type: 'LOADING_COMPLETE',
+      requestId: id,
+      metadataRows,
+      network
+    }, networkTransferables(network));
+  } catch (error) {
+    if (error instanceof LoadCancelledError || error.name === 'AbortError') {
+      self.postMessage({ type: 'LOADING_CANCELLED', requestId: id });
+    } else {
       self.postMessage({
         type: 'LOADING_ERROR',
+        requestId: id,
         error: error.message
       });
     }
+  } finally {
+    if (activeRequest === request) activeRequest = null;
+  }
+};
+
+const cancelActive = () => {
+  if (!activeRequest) return;
+  activeRequest.cancelled = true;
+  activeRequest.controller.abort();
+};
+
+// Handle messages from main thread
+self.onmessage = function(event) {
+  const { type, requestId, baseUrl, colorBy, metadataRows, edgeRows } = event.data;
+
+  if (type === 'CANCEL') {
+    if (activeRequest?.id === requestId) cancelActive();
+    return;
+  }
+
+  if (type === 'LOAD_DATA' || type === 'BUILD_NETWORK') {
+    cancelActive();
+    const request = { id: requestId, colorBy, cancelled: false, controller: new AbortController() };
+    activeRequest = request;
+
+    if (type === 'LOAD_DATA') {
+      // Fetch and parse the bundled parquet pair (0% -> 50%)
+      runLoad(request, async (postProgress) => {
+        postProgress(0, 0);
+        const nodeBuffer = await fetchWithProgress(baseUrl + 'data/scatter_small.parquet', request.controller.signal,
+          f => postProgress(0, 20 * f));
+        const nodeRows = await parquetReadObjects({ file: nodeBuffer });
+        postProgress(1, 25);
+        const edgeBuffer = await fetchWithProgress(baseUrl + 'data/mock_edges.parquet', request.controller.signal,
+          f => postProgress(1, 25 + 20 * f));
+        const edgeRowsLoaded = await parquetReadObjects({ file: edgeBuffer });
+        return { metadataRows: nodeRows, edgeRows: edgeRowsLoaded };
+      });
+    } else {
+      // Rows were already parsed and column-mapped by the dataset dialog
+      runLoad(request, async () => ({ metadataRows, edgeRows }));
+    }
   }
 };
 
@@ -116,6 +134,7 @@ self.onmessage = async function(event) {
 self.onerror = function(error) {
   self.postMessage({
     type: 'LOADING_ERROR',
+    requestId: activeRequest?.id,
     error: error.message
   });
 };
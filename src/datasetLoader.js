@@ -0,0 +1,140 @@
+// Helpers for reading user-supplied node/edge tables (Parquet, CSV, TSV) or
+// GraphML files and mapping their columns onto the names the network expects.
+
+import Papa from 'papaparse';
+import { parquetReadObjects } from 'hyparquet';
+import { parseGraphML } from './graphmlIO.js';
+
+// Canonical fields per table and the column names we try when guessing a mapping
+export const NODE_FIELDS = ['id', 'x', 'y'];
+export const EDGE_FIELDS = ['source', 'target', 'weight'];
+export const REQUIRED_FIELDS = { nodes: ['id'], edges: ['source', 'target'] };
+
+const FIELD_ALIASES = {
+  id: ['id', 'node', 'node_id', 'name', 'plasmid', 'plasmid_id', 'accession'],
+  x: ['x', 'pos_x', 'umap_1', 'umap1', 'tsne_1', 'tsne1'],
+  y: ['y', 'pos_y', 'umap_2', 'umap2', 'tsne_2', 'tsne2'],
+  source: ['source', 'src', 'from', 'node1', 'query'],
+  target: ['target', 'tgt', 'dst', 'to', 'node2', 'subject'],
+  weight: ['weight', 'score', 'similarity', 'distance', 'value'],
+};
+
+// Detect the table format from the file name
+export const getFileFormat = (name = '') => {
+  const lower = name.toLowerCase();
+  if (lower.endsWith('.graphml')) return 'graphml';
+  if (lower.endsWith('.parquet') || lower.endsWith('.pq')) return 'parquet';
+  if (lower.endsWith('.tsv') || lower.endsWith('.tab') || lower.endsWith('.txt')) return 'tsv';
+  if (lower.endsWith('.csv')) return 'csv';
+  return null;
+};
+
+// Parse delimited text with papaparse, keeping numbers as numbers
+const parseDelimited = (text, delimiter) => new Promise((resolve, reject) => {
+  Papa.parse(text, {
+    header: true,
+    delimiter,
+    dynamicTyping: true,
+    skipEmptyLines: true,
+    complete: results => {
+      const fatal = results.errors.find(e => e.type === 'Delimiter' || e.type === 'Quotes');
+      if (fatal && !results.data.length) reject(new Error(fatal.message));
+      else resolve(results.data);
+    },
+    error: err => reject(err),
+  });
+});
+
+// Read a File/Blob into an array of row objects plus its column names
+export const readTableFile = async (file) => {
+  const format = getFileFormat(file.name);
+  if (!format || format === 'graphml') {
+    throw new Error(`Unsupported table file: ${file.name} (expected .parquet, .csv or .tsv)`);
+  }
+  let rows;
+  if (format === 'parquet') {
+    const buffer = await file.arrayBuffer();
+    rows = await parquetReadObjects({ file: buffer });
+  } else {
+    const text = await file.text();
+    rows = await parseDelimited(text, format === 'tsv' ? '\t' : ',');
+  }
+  if (!rows.length) throw new Error(`${file.name} contains no rows`);
+  const columns = Object.keys(rows[0]);
+  return { name: file.name, format, rows, columns };
+};
+
+// Read a GraphML file into ready-to-use node and edge rows
+export const readGraphMLFile = async (file) => {
+  const text = await file.text();
+  let parsed;
+  try {
+    parsed = parseGraphML(text);
+  } catch (err) {
+    throw new Error(`Could not parse ${file.name} as GraphML: ${err.message}`);
+  }
+  if (!parsed.nodes.length) throw new Error(`${file.name} contains no nodes`);
+  return { name: file.name, ...parsed };
+};
+
+// Guess a column for each canonical field from names and common aliases
+export const guessMapping = (columns, fields) => {
+  const lower = columns.map(c => String(c).toLowerCase());
+  const mapping = {};
+  fields.forEach(field => {
+    const alias = FIELD_ALIASES[field].find(a => lower.includes(a));
+    mapping[field] = alias ? columns[lower.indexOf(alias)] : '';
+  });
+  return mapping;
+};
+
+// Decide whether a freshly dropped table looks like an edge list
+export const looksLikeEdgeTable = (columns) => {
+  const mapping = guessMapping(columns, EDGE_FIELDS);
+  return Boolean(mapping.source && mapping.target);
+};
+
+// Return the first missing required field for a mapping, if any
+export const missingRequiredField = (mapping, kind) =>
+  REQUIRED_FIELDS[kind].find(field => !mapping[field]);
+
+// Normalise an id value so nodes and edges agree on keys (parquet int64 comes back as BigInt)
+const toId = v => (v == null ? '' : String(v));
+
+// Read a mapped numeric cell; blank or unreadable cells give undefined so they stay missing
+const toNumber = v => {
+  if (v == null || v === '') return undefined;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : undefined;
+};
+
+// Rename mapped node columns to id/x/y, keeping every other column as metadata
+export const applyNodeMapping = (rows, mapping) => {
+  const mappedCols = new Set(NODE_FIELDS.map(f => mapping[f]).filter(Boolean));
+  return rows
+    .map(row => {
+      const out = {};
+      Object.entries(row).forEach(([key, value]) => {
+        if (!mappedCols.has(key) && !NODE_FIELDS.includes(key)) out[key] = value;
+      });
+      out.id = toId(row[mapping.id]);
+      const x = mapping.x ? toNumber(row[mapping.x]) : undefined;
+      const y = mapping.y ? toNumber(row[mapping.y]) : undefined;
+      if (x !== undefined) out.x = x;
+      if (y !== undefined) out.y = y;
+      return out;
+    })
+    .filter(row => row.id !== '');
+};
+
+// Reduce edge rows to source/target/weight using the chosen columns
+export const applyEdgeMapping = (rows, mapping) => rows
+  .map(row => {
+    const edge = { source: toId(row[mapping.source]), target: toId(row[mapping.target]) };
+    if (mapping.weight) {
+      const w = toNumber(row[mapping.weight]);
+      if (w !== undefined) edge.weight = w;
+    }
+    return edge;
+  })
+  .filter(e => e.source !== '' && e.target !== '');
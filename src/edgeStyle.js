@@ -0,0 +1,64 @@
+// Edge styling options (Edge Style panel) and the Sigma edgeReducer that applies them
+import { getSequentialColors } from 'dicopal';
+import { createUnitScale } from './scales.js';
+import { withAlpha } from './colorUtils.js';
+
+export const DEFAULT_EDGE_STYLE = {
+  sizeByWeight: false,
+  opacityByWeight: false,
+  scaleType: 'linear',
+  colorMode: 'default', // 'default' | 'weight' | 'source' | 'target'
+  paletteName: 'Blues',
+  curved: false,
+};
+
+export const EDGE_COLOR_MODES = [
+  { value: 'default', label: 'Default (grey)' },
+  { value: 'weight', label: 'By weight' },
+  { value: 'source', label: 'By source community' },
+  { value: 'target', label: 'By target community' },
+];
+
+const EDGE_SIZE_RANGE = [0.5, 4];
+const EDGE_OPACITY_RANGE = [0.15, 1];
+const NUM_COLOR_STEPS = 100;
+
+// Short display form for edge weights
+export const formatWeight = v => (Math.abs(v) >= 100 ? v.toFixed(0) : Number(v.toPrecision(3)).toString());
+
+export const isDefaultEdgeStyle = (style) =>
+  Object.keys(DEFAULT_EDGE_STYLE).every(key => style[key] === DEFAULT_EDGE_STYLE[key]);
+
+/**
+ * Build an edgeReducer for the given style.
+ * weightDomain is [min, max] over all edge weights; nodeColor(node) returns a node's displayed color.
+ */
+export const createEdgeReducer = (style, weightDomain, nodeColor, graph) => {
+  const unit = createUnitScale(style.scaleType, weightDomain);
+  const colors = style.colorMode === 'weight'
+    ? getSequentialColors(style.paletteName, NUM_COLOR_STEPS)
+    : null;
+  // Line edges are always 1px, so thickness needs the rectangle (or curved) program
+  const type = style.curved ? 'curved' : (style.sizeByWeight ? 'rectangle' : 'line');
+
+  return (edge, data) => {
+    // Path edges keep their highlight color and width
+    if (data.isPath) return data;
+    // Edges without a weight are drawn like the lightest ones
+    const t = data.weight == null ? 0 : unit(data.weight);
+    let color = data.color;
+    if (colors) {
+      color = colors[Math.round(t * (NUM_COLOR_STEPS - 1))] ?? color;
+    } else if (style.colorMode === 'source' || style.colorMode === 'target') {
+      const node = style.colorMode === 'source' ? graph.source(edge) : graph.target(edge);
+      color = nodeColor(node) ?? color;
+    }
+    if (style.opacityByWeight) {
+      color = withAlpha(color, EDGE_OPACITY_RANGE[0] + (EDGE_OPACITY_RANGE[1] - EDGE_OPACITY_RANGE[0]) * t);
+    }
+    const size = style.sizeByWeight
+      ? EDGE_SIZE_RANGE[0] + (EDGE_SIZE_RANGE[1] - EDGE_SIZE_RANGE[0]) * t
+      : data.size;
+    return { ...data, color, size, type };
+  };
+};
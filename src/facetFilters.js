@@ -0,0 +1,78 @@
+// Faceted node filters: every facet restricts one column, and a node has to pass all of them.
+// A facet is { column, values } for categorical and boolean columns (values as strings, '' for
+// missing) or { column, min, max } for numeric and date columns (null for an open end).
+import { isMissingValue, isScalarType, toScalar } from './columnTypes.js';
+
+export const facetValueKey = (value) => (isMissingValue(value) ? '' : String(value));
+
+export const createFacet = (column, type) => (isScalarType(type)
+  ? { column, min: null, max: null }
+  : { column, values: [] });
+
+export const isRangeFacet = (facet) => !Array.isArray(facet.values);
+
+export const isActiveFacet = (facet) => (isRangeFacet(facet)
+  ? facet.min != null || facet.max != null
+  : facet.values.length > 0);
+
+// type is the column's type, which decides how range facets read values (numbers or dates)
+export const matchesFacet = (value, facet, type) => {
+  if (!isRangeFacet(facet)) return !facet.values.length || facet.values.includes(facetValueKey(value));
+  if (facet.min == null && facet.max == null) return true;
+  const v = toScalar(value, type);
+  return v != null && (facet.min == null || v >= facet.min) && (facet.max == null || v <= facet.max);
+};
+
+/**
+ * One pass over the rows: the ids passing every facet (null when no facet is active) and per facet
+ * the live counts among rows passing all the other facets, i.e. what that facet could still select.
+ * Value facets get counts: Map value -> rows; range facets get extent [min, max] and inRange.
+ */
+export const summarizeFacets = (rows, facets, typeOf) => {
+  const types = facets.map(facet => typeOf(facet.column));
+  const stats = facets.map(facet => (isRangeFacet(facet)
+    ? { extent: null, inRange: 0 }
+    : { counts: new Map() }));
+  const active = facets.some(isActiveFacet);
+  const matches = new Set();
+  rows.forEach(row => {
+    let failed = -1;
+    for (let i = 0; i < facets.length; i++) {
+      if (matchesFacet(row[facets[i].column], facets[i], types[i])) continue;
+      // Failing two facets means the row counts for none of them
+      if (failed !== -1) return;
+      failed = i;
+    }
+    if (failed === -1) matches.add(String(row.id));
+    facets.forEach((facet, i) => {
+      if (failed !== -1 && failed !== i) return;
+      const value = row[facet.column];
+      const stat = stats[i];
+      if (!isRangeFacet(facet)) {
+        const key = facetValueKey(value);
+        stat.counts.set(key, (stat.counts.get(key) ?? 0) + 1);
+        return;
+      }
+      const v = toScalar(value, types[i]);
+      if (v == null) return;
+      stat.extent = stat.extent ? [Math.min(stat.extent[0], v), Math.max(stat.extent[1], v)] : [v, v];
+      if (failed === -1) stat.inRange += 1;
+    });
+  });
+  return { matches: active ? matches : null, stats };
+};
+
+// Facets read back from a link or session; facets on unknown columns or with bad bounds are dropped
+export const sanitizeFacets = (facets, columns) => {
+  if (!Array.isArray(facets)) return [];
+  const seen = new Set();
+  return facets.filter(facet => {
+    if (!facet || !columns.includes(facet.column) || seen.has(facet.column)) return false;
+    seen.add(facet.column);
+    if (Array.isArray(facet.values)) return facet.values.every(v => typeof v === 'string');
+    const bound = v => v == null || Number.isFinite(v);
+    return bound(facet.min) && bound(facet.max);
+  }).map(facet => (Array.isArray(facet.values)
+    ? { column: facet.column, values: facet.values }
+    : { column: facet.column, min: facet.min ?? null, max: facet.max ?? null }));
+};
@@ -0,0 +1,134 @@
+// Traversals over the full edge list (not just the edges currently drawn)
+
+/**
+ * Adjacency lists from networkEdgeList() output: node -> [{ node, attributes }].
+ */
+export const buildAdjacency = (edges) => {
+  const adjacency = new Map();
+  const link = (from, to, attributes) => {
+    let list = adjacency.get(from);
+    if (!list) adjacency.set(from, (list = []));
+    list.push({ node: to, attributes });
+  };
+  edges.forEach(({ source, target, attributes }) => {
+    link(source, target, attributes);
+    link(target, source, attributes);
+  });
+  return adjacency;
+};
+
+/**
+ * Breadth-first k-hop ego network around center, following only edges accepted by passes(attributes).
+ * Returns node -> { hop, weight, via }, where weight is the strongest edge reaching the node from the
+ * previous hop and via is the node on the other end of it (both null for the center).
+ */
+export const egoNetwork = (adjacency, center, depth, passes = () => true) => {
+  const reached = new Map([[center, { hop: 0, weight: null, via: null }]]);
+  let frontier = [center];
+  for (let hop = 1; hop <= depth && frontier.length; hop++) {
+    const next = [];
+    frontier.forEach(node => {
+      (adjacency.get(node) ?? []).forEach(({ node: neighbor, attributes }) => {
+        if (!passes(attributes)) return;
+        const weight = attributes.weight ?? null;
+        const seen = reached.get(neighbor);
+        if (!seen) {
+          reached.set(neighbor, { hop, weight, via: node });
+          next.push(neighbor);
+        } else if (seen.hop === hop && weight != null && (seen.weight == null || weight > seen.weight)) {
+          reached.set(neighbor, { hop, weight, via: node });
+        }
+      });
+    });
+    frontier = next;
+  }
+  return reached;
+};
+
+// Binary min-heap of [cost, node] pairs for Dijkstra
+const heapPush = (heap, item) => {
+  heap.push(item);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (heap[parent][0] <= heap[i][0]) break;
+    [heap[parent], heap[i]] = [heap[i], heap[parent]];
+    i = parent;
+  }
+};
+const heapPop = (heap) => {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length) {
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+      const l = 2 * i + 1, r = l + 1;
+      let min = i;
+      if (l < heap.length && heap[l][0] < heap[min][0]) min = l;
+      if (r < heap.length && heap[r][0] < heap[min][0]) min = r;
+      if (min === i) break;
+      [heap[min], heap[i]] = [heap[i], heap[min]];
+      i = min;
+    }
+  }
+  return top;
+};
+
+/**
+ * Shortest path from source to target, following only edges accepted by passes(attributes).
+ * Unweighted paths minimise the number of hops; weighted paths minimise the sum of 1/weight,
+ * so strong similarities are cheap (edges without a positive weight are skipped).
+ * Returns { nodes, edges: [{ source, target, attributes }], cost }, or null if target is unreachable.
+ */
+export const shortestPath = (adjacency, source, target, { weighted = false, passes = () => true } = {}) => {
+  const previous = new Map([[source, null]]);
+  const edgeCost = attributes => (weighted ? 1 / attributes.weight : 1);
+  const usable = attributes => passes(attributes) && (!weighted || attributes.weight > 0);
+
+  if (weighted) {
+    const dist = new Map([[source, 0]]);
+    const done = new Set();
+    const heap = [[0, source]];
+    while (heap.length) {
+      const [cost, node] = heapPop(heap);
+      if (done.has(node)) continue;
+      done.add(node);
+      if (node === target) break;
+      (adjacency.get(node) ?? []).forEach(({ node: neighbor, attributes }) => {
+        if (done.has(neighbor) || !usable(attributes)) return;
+        const next = cost + edgeCost(attributes);
+        if (next < (dist.get(neighbor) ?? Infinity)) {
+          dist.set(neighbor, next);
+          previous.set(neighbor, { node, attributes });
+          heapPush(heap, [next, neighbor]);
+        }
+      });
+    }
+    if (!done.has(target)) return null;
+  } else {
+    let frontier = [source];
+    while (frontier.length && !previous.has(target)) {
+      const next = [];
+      frontier.forEach(node => {
+        (adjacency.get(node) ?? []).forEach(({ node: neighbor, attributes }) => {
+          if (previous.has(neighbor) || !usable(attributes)) return;
+          previous.set(neighbor, { node, attributes });
+          next.push(neighbor);
+        });
+      });
+      frontier = next;
+    }
+    if (!previous.has(target)) return null;
+  }
+
+  const nodes = [target];
+  const edges = [];
+  let cost = 0;
+  for (let step = previous.get(target); step; step = previous.get(step.node)) {
+    edges.unshift({ source: step.node, target: nodes[0], attributes: step.attributes });
+    nodes.unshift(step.node);
+    cost += edgeCost(step.attributes);
+  }
+  return { nodes, edges, cost };
+};
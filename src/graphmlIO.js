@@ -0,0 +1,133 @@
+// GraphML import/export for moving networks between this viewer and Gephi/Cytoscape.
+// graphology-graphml only ships a parser, so the writer lives here.
+
+import { MultiGraph } from 'graphology';
+import { parse } from 'graphology-graphml/browser';
+import { parseColor } from './colorUtils.js';
+
+// Rendering attributes written by writeGraphML (and Gephi) that should not come back as metadata:
+// the color as r/g/b, the sigma size and label, and the hidden state
+const RENDER_ATTRIBUTES = ['color', 'r', 'g', 'b', 'size', 'label', 'hidden'];
+
+// Parse GraphML text into the node/edge row shape used by the rest of the app
+export const parseGraphML = (text) => {
+  const graph = parse(MultiGraph, text, { addMissingNodes: true });
+  const nodes = [];
+  graph.forEachNode((id, attrs) => {
+    const row = { id: String(id) };
+    Object.entries(attrs).forEach(([key, value]) => {
+      if (key === 'id' || RENDER_ATTRIBUTES.includes(key)) return;
+      row[key] = value;
+    });
+    if (row.x != null) row.x = Number(row.x);
+    if (row.y != null) row.y = Number(row.y);
+    nodes.push(row);
+  });
+  const edges = [];
+  graph.forEachEdge((edge, attrs, source, target) => {
+    const row = { source: String(source), target: String(target) };
+    const w = Number(attrs.weight);
+    if (attrs.weight != null && !isNaN(w)) row.weight = w;
+    edges.push(row);
+  });
+  return { nodes, edges };
+};
+
+export const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Pick the narrowest GraphML type that fits every non-null value of an attribute
+const inferType = (values) => {
+  let type = null;
+  for (const v of values) {
+    if (v == null || v === '') continue;
+    let t;
+    if (typeof v === 'boolean') t = 'boolean';
+    else if (typeof v === 'bigint') t = 'long';
+    else if (typeof v === 'number') t = Number.isInteger(v) ? 'int' : 'double';
+    else return 'string';
+    if (type === null) type = t;
+    else if (type !== t) {
+      const numeric = ['int', 'long', 'double'];
+      if (numeric.includes(type) && numeric.includes(t)) type = t === 'double' || type === 'double' ? 'double' : 'long';
+      else return 'string';
+    }
+  }
+  return type || 'string';
+};
+
+// Collect attribute keys and types for one element kind ('node' or 'edge')
+const buildKeys = (items, kind, prefix) => {
+  const valuesByName = new Map();
+  items.forEach(({ attributes }) => {
+    Object.entries(attributes).forEach(([name, value]) => {
+      if (typeof value === 'object' && value !== null) return;
+      if (!valuesByName.has(name)) valuesByName.set(name, []);
+      valuesByName.get(name).push(value);
+    });
+  });
+  return Array.from(valuesByName.entries()).map(([name, values], i) => ({
+    id: `${prefix}${i}`,
+    name,
+    kind,
+    type: inferType(values),
+  }));
+};
+
+const formatValue = (value, type) => {
+  if (type === 'boolean') return value ? 'true' : 'false';
+  return escapeXml(value);
+};
+
+const writeData = (attributes, keys, indent) => keys
+  .filter(k => attributes[k.name] != null && attributes[k.name] !== '')
+  .map(k => `${indent}<data key="${k.id}">${formatValue(attributes[k.name], k.type)}</data>`)
+  .join('\n');
+
+// Serialize a graphology graph to GraphML. Node colors are written as r/g/b so Gephi picks them up.
+export const writeGraphML = (graph) => {
+  const nodes = [];
+  graph.forEachNode((id, attrs) => {
+    const attributes = {};
+    Object.entries(attrs).forEach(([key, value]) => {
+      if (key === 'color') {
+        const rgb = parseColor(value);
+        if (rgb) [attributes.r, attributes.g, attributes.b] = rgb;
+      } else {
+        attributes[key] = value;
+      }
+    });
+    nodes.push({ id, attributes });
+  });
+  const edges = [];
+  graph.forEachEdge((edge, attrs, source, target) => {
+    edges.push({ source, target, attributes: attrs });
+  });
+
+  const nodeKeys = buildKeys(nodes, 'node', 'd');
+  const edgeKeys = buildKeys(edges, 'edge', 'e');
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+    ...[...nodeKeys, ...edgeKeys].map(k =>
+      `  <key id="${k.id}" for="${k.kind}" attr.name="${escapeXml(k.name)}" attr.type="${k.type}"/>`),
+    `  <graph id="G" edgedefault="${graph.type === 'directed' ? 'directed' : 'undirected'}">`,
+  ];
+  nodes.forEach(({ id, attributes }) => {
+    const data = writeData(attributes, nodeKeys, '      ');
+    lines.push(data
+      ? `    <node id="${escapeXml(id)}">\n${data}\n    </node>`
+      : `    <node id="${escapeXml(id)}"/>`);
+  });
+  edges.forEach(({ source, target, attributes }, i) => {
+    const data = writeData(attributes, edgeKeys, '      ');
+    const open = `    <edge id="e${i}" source="${escapeXml(source)}" target="${escapeXml(target)}"`;
+    lines.push(data ? `${open}>\n${data}\n    </edge>` : `${open}/>`);
+  });
+  lines.push('  </graph>', '</graphml>');
+  return lines.join('\n');
+};
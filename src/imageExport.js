@@ -0,0 +1,238 @@
+// SVG and high-resolution PNG export. The current Sigma view is redrawn as SVG (nodes, edges,
+// labels) together with the legend, PTU labels and a scale bar; PNGs are rasterized from that SVG.
+import { escapeXml } from './graphmlIO.js';
+
+export const IMAGE_FORMATS = [
+  { value: 'png', label: 'PNG' },
+  { value: 'svg', label: 'SVG' },
+];
+
+const CSS_DPI = 96;
+const MAX_CANVAS_SIDE = 16384;
+// Sigma's default label style and @sigma/edge-curve's default curvature
+const LABEL_FONT = 'Arial, sans-serif';
+const LABEL_SIZE = 14;
+const EDGE_CURVATURE = 0.25;
+const MAX_LEGEND_ITEMS = 30;
+
+const fmt = v => Math.round(v * 100) / 100;
+
+// rgba() is split into color + opacity, which vector editors understand better
+const paint = (attr, color) => {
+  const m = typeof color === 'string' && color.match(/^rgba\(([^)]*),\s*([\d.]+)\s*\)$/i);
+  if (m) return `${attr}="rgb(${m[1]})" ${attr}-opacity="${m[2]}"`;
+  return `${attr}="${escapeXml(color ?? '#999')}"`;
+};
+
+// Round distance (1, 2 or 5 × 10^k) no longer than the target
+const niceLength = (target) => {
+  const base = 10 ** Math.floor(Math.log10(target));
+  return [5, 2, 1].map(m => m * base).find(v => v <= target) ?? base;
+};
+
+const formatNumber = v => (Math.abs(v) >= 1000 || Math.abs(v) < 0.01 ? v.toPrecision(3) : String(fmt(v)));
+
+const legendSvg = (legend, width, k) => {
+  const pad = 8 * k, font = 11 * k, row = 15 * k, swatch = 10 * k;
+  const title = `<text x="${pad}" y="${pad + font}" font-weight="bold">${escapeXml(legend.title)}</text>`;
+  const parts = [];
+  let boxW, boxH;
+  if (legend.type === 'numeric') {
+    const barW = 160 * k, barH = 14 * k, top = pad + font + 6 * k;
+    const stops = legend.colors
+      .filter((_, i) => i % Math.max(1, Math.floor(legend.colors.length / 20)) === 0 || i === legend.colors.length - 1)
+      .map((c, i, all) => `<stop offset="${fmt(i / Math.max(1, all.length - 1))}" stop-color="${escapeXml(c)}"/>`);
+    parts.push(
+      `<defs><linearGradient id="legendGradient">${stops.join('')}</linearGradient></defs>`,
+      `<rect x="${pad}" y="${top}" width="${barW}" height="${barH}" fill="url(#legendGradient)" stroke="#ccc"/>`,
+      `<text x="${pad}" y="${top + barH + font + 2 * k}">${formatNumber(legend.domain[0])}</text>`,
+      `<text x="${pad + barW}" y="${top + barH + font + 2 * k}" text-anchor="end">${formatNumber(legend.domain[1])}</text>`
+    );
+    boxW = barW + 2 * pad;
+    boxH = top + barH + font + 2 * k + pad;
+  } else {
+    const items = legend.items.slice(0, MAX_LEGEND_ITEMS);
+    const longest = Math.max(legend.title.length, ...items.map(item => item.label.length));
+    items.forEach((item, i) => {
+      const y = pad + font + 6 * k + i * row;
+      parts.push(
+        `<rect x="${pad}" y="${y}" width="${swatch}" height="${swatch}" ${paint('fill', item.color)}/>`,
+        `<text x="${pad + swatch + 6 * k}" y="${y + swatch - 1 * k}">${escapeXml(item.label)}</text>`
+      );
+    });
+    let rows = items.length;
+    if (legend.items.length > items.length) {
+      parts.push(`<text x="${pad}" y="${pad + font + 6 * k + rows * row + swatch - k}" fill="#666">...and ${legend.items.length - items.length} more</text>`);
+      rows += 1;
+    }
+    boxW = Math.min(260 * k, pad * 2 + swatch + 6 * k + longest * font * 0.6);
+    boxH = pad + font + 6 * k + rows * row + pad;
+  }
+  const x = width - boxW - 10 * k;
+  return `<g transform="translate(${fmt(x)},${fmt(10 * k)})" font-family="${LABEL_FONT}" font-size="${fmt(font)}">` +
+    `<rect width="${fmt(boxW)}" height="${fmt(boxH)}" fill="#fff" fill-opacity="0.9" stroke="#ccc" rx="${4 * k}"/>` +
+    title + parts.join('') + '</g>';
+};
+
+/**
+ * Render the renderer's current graph as an SVG string.
+ * layers: { legend, ptuClusters } from SigmaNetwork's getImageLayers();
+ * options: { width, height, region: 'viewport'|'graph', background, transparent,
+ *            includeLegend, includePTULabels, includeLabels, includeScale }
+ */
+export const renderNetworkSVG = (renderer, layers, options) => {
+  const { width, height } = options;
+  const { width: vw, height: vh } = renderer.getDimensions();
+  // Sigma's default camera frames the whole graph
+  const cameraState = options.region === 'graph'
+    ? { x: 0.5, y: 0.5, ratio: 1, angle: 0 }
+    : renderer.getCamera().getState();
+  const override = { cameraState };
+  // Fit the on-screen viewport into the output size without distorting it
+  const k = Math.min(width / vw, height / vh);
+  const ox = (width - vw * k) / 2;
+  const oy = (height - vh * k) / 2;
+  const toOutput = p => ({ x: ox + p.x * k, y: oy + p.y * k });
+  const sizeScale = renderer.scaleSize(1, cameraState.ratio) * k;
+  const margin = 20 * k;
+  const inView = p => p.x > -margin && p.y > -margin && p.x < width + margin && p.y < height + margin;
+
+  const graph = renderer.getGraph();
+  const positions = new Map();
+  const nodes = [];
+  graph.forEachNode(node => {
+    const d = renderer.getNodeDisplayData(node);
+    if (!d || d.hidden) return;
+    const p = toOutput(renderer.framedGraphToViewport(d, override));
+    positions.set(node, p);
+    if (inView(p)) nodes.push({ d, p, r: Math.max(0.5 * k, d.size * sizeScale) });
+  });
+  // Highlighted nodes are drawn last, as Sigma draws them on its hover layer
+  nodes.sort((a, b) => Number(Boolean(a.d.highlighted)) - Number(Boolean(b.d.highlighted)));
+
+  const edges = [];
+  graph.forEachEdge((edge, attrs, source, target) => {
+    const d = renderer.getEdgeDisplayData(edge);
+    const s = positions.get(source), t = positions.get(target);
+    if (!d || d.hidden || !s || !t || (!inView(s) && !inView(t))) return;
+    const strokeWidth = !d.type || d.type === 'line' ? k : Math.max(0.5 * k, d.size * sizeScale);
+    const stroke = `${paint('stroke', d.color)} stroke-width="${fmt(strokeWidth)}"`;
+    if (d.type === 'curved') {
+      const cx = (s.x + t.x) / 2 + (t.y - s.y) * EDGE_CURVATURE;
+      const cy = (s.y + t.y) / 2 - (t.x - s.x) * EDGE_CURVATURE;
+      edges.push(`<path d="M${fmt(s.x)},${fmt(s.y)} Q${fmt(cx)},${fmt(cy)} ${fmt(t.x)},${fmt(t.y)}" fill="none" ${stroke}/>`);
+    } else {
+      edges.push(`<line x1="${fmt(s.x)}" y1="${fmt(s.y)}" x2="${fmt(t.x)}" y2="${fmt(t.y)}" ${stroke}/>`);
+    }
+  });
+
+  const out = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+  ];
+  if (!options.transparent) out.push(`<rect width="100%" height="100%" fill="${escapeXml(options.background)}"/>`);
+  out.push(`<g id="edges" stroke-linecap="round">${edges.join('')}</g>`);
+  out.push('<g id="nodes">' + nodes.map(({ d, p, r }) =>
+    `<circle cx="${fmt(p.x)}" cy="${fmt(p.y)}" r="${fmt(r)}" ${paint('fill', d.color)}/>`).join('') + '</g>');
+
+  if (options.includeLabels) {
+    const labels = nodes
+      .filter(({ d }) => d.label)
+      .map(({ d, p, r }) => `<text x="${fmt(p.x + r + 3 * k)}" y="${fmt(p.y + LABEL_SIZE * k / 3)}">${escapeXml(d.label)}</text>`);
+    out.push(`<g id="labels" font-family="${LABEL_FONT}" font-size="${fmt(LABEL_SIZE * k)}" fill="#000" stroke="#fff" stroke-width="${fmt(3 * k)}" paint-order="stroke">${labels.join('')}</g>`);
+  }
+
+  if (options.includePTULabels && layers.ptuClusters?.length) {
+    const labels = layers.ptuClusters.map(cluster => {
+      const p = toOutput(renderer.graphToViewport(cluster, override));
+      if (!inView(p)) return '';
+      return `<text x="${fmt(p.x)}" y="${fmt(p.y)}" ${paint('fill', cluster.color)}>${escapeXml(cluster.label)}</text>`;
+    });
+    out.push(`<g id="ptuLabels" font-family="${LABEL_FONT}" font-size="${fmt(12 * k)}" dominant-baseline="hanging">${labels.join('')}</g>`);
+  }
+
+  if (options.includeScale) {
+    // Pixels per layout unit at the exported camera
+    const a = renderer.graphToViewport({ x: 0, y: 0 }, override);
+    const b = renderer.graphToViewport({ x: 1, y: 0 }, override);
+    const unit = Math.hypot(b.x - a.x, b.y - a.y) * k;
+    if (unit > 0) {
+      const length = niceLength(width * 0.15 / unit);
+      const barW = length * unit;
+      const x = 20 * k, y = height - 20 * k;
+      out.push(
+        `<g id="scale" font-family="${LABEL_FONT}" font-size="${fmt(11 * k)}" stroke="#000" stroke-width="${fmt(1.5 * k)}">` +
+        `<path d="M${fmt(x)},${fmt(y - 4 * k)} V${fmt(y)} H${fmt(x + barW)} V${fmt(y - 4 * k)}" fill="none"/>` +
+        `<text x="${fmt(x + barW / 2)}" y="${fmt(y - 7 * k)}" text-anchor="middle" stroke="none" fill="#000">${formatNumber(length)} layout unit${length === 1 ? '' : 's'}</text>` +
+        '</g>'
+      );
+    }
+  }
+
+  if (options.includeLegend && layers.legend) out.push(legendSvg(layers.legend, width, k));
+  out.push('</svg>');
+  return out.join('\n');
+};
+
+// --- PNG ---
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let i = 0; i < 8; i++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+// Insert a pHYs chunk right after IHDR so image editors pick up the chosen DPI
+const withPngDpi = (buffer, dpi) => {
+  const src = new Uint8Array(buffer);
+  const ihdrEnd = 8 + 4 + 4 + 13 + 4;
+  const chunk = new Uint8Array(21);
+  const view = new DataView(chunk.buffer);
+  const pixelsPerMeter = Math.round(dpi / 0.0254);
+  view.setUint32(0, 9);
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4); // 'pHYs'
+  view.setUint32(8, pixelsPerMeter);
+  view.setUint32(12, pixelsPerMeter);
+  chunk[16] = 1; // unit: meter
+  view.setUint32(17, crc32(chunk.subarray(4, 17)));
+  const out = new Uint8Array(src.length + chunk.length);
+  out.set(src.subarray(0, ihdrEnd));
+  out.set(chunk, ihdrEnd);
+  out.set(src.subarray(ihdrEnd), ihdrEnd + chunk.length);
+  return out;
+};
+
+// Output pixel size of a PNG export
+export const pngPixelSize = (width, height, dpi) => ({
+  width: Math.round(width * dpi / CSS_DPI),
+  height: Math.round(height * dpi / CSS_DPI),
+});
+
+// Rasterize the SVG at dpi (width/height are CSS pixels at 96 DPI)
+export const svgToPngBlob = async (svg, width, height, dpi) => {
+  const size = pngPixelSize(width, height, dpi);
+  if (size.width > MAX_CANVAS_SIDE || size.height > MAX_CANVAS_SIDE) {
+    throw new Error(`PNG would be ${size.width} × ${size.height} px; browsers allow at most ${MAX_CANVAS_SIDE} px per side. Lower the size or DPI.`);
+  }
+  const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+    const canvas = document.createElement('canvas');
+    canvas.width = size.width;
+    canvas.height = size.height;
+    canvas.getContext('2d').drawImage(img, 0, 0, size.width, size.height);
+    const blob = await new Promise((resolve, reject) => {
+      canvas.toBlob(b => (b ? resolve(b) : reject(new Error('Could not encode PNG'))), 'image/png');
+    });
+    return new Blob([withPngDpi(await blob.arrayBuffer(), dpi)], { type: 'image/png' });
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
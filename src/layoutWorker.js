@@ -0,0 +1,73 @@
+// Web Worker for the ForceAtlas2 layout
+// Iterates in small batches and posts the positions after each one so Sigma can animate the layout
+
+import Graph from 'graphology';
+import forceAtlas2 from 'graphology-layout-forceatlas2';
+import iterate from 'graphology-layout-forceatlas2/iterate.js';
+import helpers from 'graphology-layout-forceatlas2/helpers.js';
+
+// Values per node in the ForceAtlas2 node matrix; x and y come first
+const PPN = 10;
+// Aim for roughly this much work between position updates
+const BATCH_MS = 30;
+
+let matrices = null;
+let settings = null;
+let running = false;
+let iterations = 0;
+let iterationLimit = Infinity;
+
+const postPositions = () => {
+  const n = matrices.nodes.length / PPN;
+  const positions = new Float32Array(2 * n);
+  for (let i = 0; i < n; i++) {
+    positions[2 * i] = matrices.nodes[i * PPN];
+    positions[2 * i + 1] = matrices.nodes[i * PPN + 1];
+  }
+  self.postMessage({ type: 'LAYOUT_POSITIONS', positions, iterations, running }, [positions.buffer]);
+};
+
+const step = () => {
+  if (!running) return;
+  const start = performance.now();
+  do {
+    iterate(settings, matrices.nodes, matrices.edges);
+    iterations += 1;
+  } while (performance.now() - start < BATCH_MS && iterations < iterationLimit);
+  if (iterations >= iterationLimit) running = false;
+  postPositions();
+  // Yield so STOP and SETTINGS messages are handled between batches
+  if (running) setTimeout(step, 0);
+};
+
+self.onmessage = function(event) {
+  const { type } = event.data;
+  try {
+    if (type === 'INIT') {
+      // positions: interleaved x, y per node; fixed: 1 for pinned nodes
+      const { nodes, positions, fixed, edges, settings: overrides } = event.data;
+      const graph = new Graph({ type: 'undirected' });
+      nodes.forEach((node, i) => graph.addNode(node, { x: positions[2 * i], y: positions[2 * i + 1], fixed: fixed[i] === 1 }));
+      edges.forEach(([source, target, weight]) => {
+        if (source !== target && !graph.hasEdge(source, target)) graph.addEdge(source, target, { weight });
+      });
+      settings = { ...forceAtlas2.inferSettings(graph), ...overrides };
+      matrices = helpers.graphToByteArrays(graph, (edge, attr) => attr.weight ?? 1);
+      iterations = 0;
+    } else if (type === 'START') {
+      iterationLimit = iterations + (event.data.iterationLimit ?? Infinity);
+      if (!running) {
+        running = true;
+        step();
+      }
+    } else if (type === 'STOP') {
+      running = false;
+      postPositions();
+    } else if (type === 'SETTINGS') {
+      settings = { ...settings, ...event.data.settings };
+    }
+  } catch (error) {
+    running = false;
+    self.postMessage({ type: 'LAYOUT_ERROR', error: error.message });
+  }
+};
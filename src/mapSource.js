@@ -0,0 +1,61 @@
+// Where the genome map viewer finds each plasmid's CGView JSON
+// A source is a URL template containing {id}, or a directory (URL or path relative to the app)
+// holding <id>.json files. Sources are remembered per dataset in localStorage.
+
+export const DEFAULT_MAP_SOURCE = 'https://raw.githubusercontent.com/pentamorfico/plsdb_imgpr_json/refs/heads/master/{id}.json';
+
+const STORAGE_PREFIX = 'plasmid_network:mapSource:';
+
+// IMG/PR node ids carry extra |-separated fields; their JSON files are named after the first one
+export const mapFileId = (id) => (id.startsWith('IMGPR') ? id.split('|')[0] : id);
+
+export const mapFileName = (id) => `${mapFileId(id)}.json`;
+
+// Absolute URL of a node's JSON; relative sources resolve against the app
+export const resolveMapUrl = (source, id) => {
+  const name = encodeURIComponent(mapFileId(id));
+  const filled = source.includes('{id}')
+    ? source.replaceAll('{id}', name)
+    : `${source.replace(/\/+$/, '')}/${name}.json`;
+  return new URL(filled, document.baseURI).href;
+};
+
+export const loadMapSource = (datasetName) => {
+  try {
+    return localStorage.getItem(STORAGE_PREFIX + datasetName) || DEFAULT_MAP_SOURCE;
+  } catch {
+    return DEFAULT_MAP_SOURCE;
+  }
+};
+
+export const saveMapSource = (datasetName, source) => {
+  try {
+    if (!source || source === DEFAULT_MAP_SOURCE) localStorage.removeItem(STORAGE_PREFIX + datasetName);
+    else localStorage.setItem(STORAGE_PREFIX + datasetName, source);
+  } catch (err) {
+    console.warn('[mapSource] Could not store the map source:', err);
+  }
+};
+
+// Fetch a node's map JSON from a URL, or read it from a file in a locally chosen folder
+export const fetchMapJson = async ({ id, url, file }) => {
+  let text;
+  if (file) {
+    text = await file.text();
+  } else {
+    let response;
+    try {
+      response = await fetch(url);
+    } catch (err) {
+      throw new Error(`Could not reach ${url} (${err.message})`);
+    }
+    if (response.status === 404) throw new Error(`No map JSON for ${id} at ${url}`);
+    if (!response.ok) throw new Error(`Could not load ${url} (HTTP ${response.status})`);
+    text = await response.text();
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error(`The map JSON for ${id} is not valid JSON`);
+  }
+};
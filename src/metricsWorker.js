@@ -0,0 +1,190 @@
+// Web Worker for node centrality metrics
+// Degree, weighted degree, betweenness, closeness, clustering coefficient and connected component
+// over the full (unweighted, undirected) edge list
+
+import { mulberry32 } from './random.js';
+
+// Above this many nodes, betweenness and closeness are estimated from a sample of source nodes
+const EXACT_LIMIT = 3000;
+const SAMPLE_SIZE = 500;
+
+const round = v => Number(v.toPrecision(6));
+
+// Neighbor lists by node index, without self-loops or duplicate edges
+const buildNeighbors = (nodes, edges) => {
+  const indexOf = new Map(nodes.map((node, i) => [node, i]));
+  const sets = nodes.map(() => new Set());
+  const strength = new Float64Array(nodes.length);
+  edges.forEach(([source, target, weight]) => {
+    const a = indexOf.get(source), b = indexOf.get(target);
+    if (a === undefined || b === undefined || a === b || sets[a].has(b)) return;
+    sets[a].add(b);
+    sets[b].add(a);
+    const w = Number.isFinite(weight) ? weight : 1;
+    strength[a] += w;
+    strength[b] += w;
+  });
+  return { neighbors: sets.map(set => Int32Array.from(set)), strength };
+};
+
+// Component labels by size (CC1 = largest) so they read as categories
+const components = (neighbors) => {
+  const n = neighbors.length;
+  const id = new Int32Array(n).fill(-1);
+  const sizes = [];
+  const queue = new Int32Array(n);
+  for (let start = 0; start < n; start++) {
+    if (id[start] >= 0) continue;
+    const c = sizes.length;
+    let head = 0, tail = 0;
+    queue[tail++] = start;
+    id[start] = c;
+    while (head < tail) {
+      const v = queue[head++];
+      for (const w of neighbors[v]) {
+        if (id[w] < 0) {
+          id[w] = c;
+          queue[tail++] = w;
+        }
+      }
+    }
+    sizes.push(tail);
+  }
+  const order = sizes.map((size, c) => c).sort((a, b) => sizes[b] - sizes[a] || a - b);
+  const label = [];
+  order.forEach((c, i) => { label[c] = `CC${i + 1}`; });
+  return { labels: Array.from(id, c => label[c]), count: sizes.length };
+};
+
+// Local clustering coefficient: share of neighbor pairs that are themselves linked
+const clustering = (neighbors) => {
+  const n = neighbors.length;
+  const mark = new Int32Array(n).fill(-1);
+  const result = new Float64Array(n);
+  for (let u = 0; u < n; u++) {
+    const k = neighbors[u].length;
+    if (k < 2) continue;
+    for (const v of neighbors[u]) mark[v] = u;
+    let links = 0;
+    for (const v of neighbors[u]) {
+      for (const w of neighbors[v]) if (mark[w] === u) links++;
+    }
+    result[u] = links / (k * (k - 1));
+  }
+  return result;
+};
+
+/**
+ * Brandes betweenness (normalised) and closeness (inverse mean hop distance to the nodes a node can
+ * reach) from BFS runs over the given source nodes. With a sample, betweenness is scaled up to the
+ * full graph and closeness uses the distances to the sampled sources.
+ */
+const pathMetrics = (neighbors, sources, onProgress) => {
+  const n = neighbors.length;
+  const betweenness = new Float64Array(n);
+  const sumDist = new Float64Array(n);
+  const reached = new Float64Array(n);
+  const dist = new Int32Array(n).fill(-1);
+  const sigma = new Float64Array(n);
+  const delta = new Float64Array(n);
+  const order = new Int32Array(n);
+  const step = Math.max(1, Math.floor(sources.length / 100));
+
+  sources.forEach((s, runIndex) => {
+    let head = 0, tail = 0;
+    order[tail++] = s;
+    dist[s] = 0;
+    sigma[s] = 1;
+    while (head < tail) {
+      const v = order[head++];
+      for (const w of neighbors[v]) {
+        if (dist[w] < 0) {
+          dist[w] = dist[v] + 1;
+          order[tail++] = w;
+        }
+        if (dist[w] === dist[v] + 1) sigma[w] += sigma[v];
+      }
+    }
+    // Walk back from the farthest nodes; predecessors are the neighbors one hop closer to s
+    for (let i = tail - 1; i > 0; i--) {
+      const w = order[i];
+      for (const v of neighbors[w]) {
+        if (dist[v] === dist[w] - 1) delta[v] += (sigma[v] / sigma[w]) * (1 + delta[w]);
+      }
+      betweenness[w] += delta[w];
+      sumDist[w] += dist[w];
+      reached[w] += 1;
+    }
+    for (let i = 0; i < tail; i++) {
+      const v = order[i];
+      dist[v] = -1;
+      sigma[v] = 0;
+      delta[v] = 0;
+    }
+    if ((runIndex + 1) % step === 0) onProgress((runIndex + 1) / sources.length);
+  });
+
+  // Each pair is seen from both ends; normalise by the number of pairs not involving the node
+  const scale = (n / sources.length) / (n > 2 ? (n - 1) * (n - 2) : 1);
+  return {
+    betweenness: betweenness.map(b => b * scale),
+    closeness: sumDist.map((d, i) => (d > 0 ? reached[i] / d : 0)),
+  };
+};
+
+// Sample source nodes without replacement (seeded so reruns agree)
+const sampleSources = (n) => {
+  const all = Array.from({ length: n }, (_, i) => i);
+  if (n <= EXACT_LIMIT) return all;
+  const rng = mulberry32(42);
+  for (let i = 0; i < SAMPLE_SIZE; i++) {
+    const j = i + Math.floor(rng() * (n - i));
+    [all[i], all[j]] = [all[j], all[i]];
+  }
+  return all.slice(0, SAMPLE_SIZE);
+};
+
+self.onmessage = function(event) {
+  const { type, nodes, edges, weighted } = event.data;
+
+  if (type === 'COMPUTE_METRICS') {
+    try {
+      const { neighbors, strength } = buildNeighbors(nodes, edges);
+      const sources = sampleSources(nodes.length);
+      const { betweenness, closeness } = pathMetrics(neighbors, sources, progress => {
+        self.postMessage({ type: 'METRICS_PROGRESS', progress });
+      });
+      const clusteringCoefficient = clustering(neighbors);
+      const component = components(neighbors);
+
+      const columns = {
+        net_degree: {},
+        ...(weighted ? { net_weighted_degree: {} } : {}),
+        net_betweenness: {},
+        net_closeness: {},
+        net_clustering: {},
+        net_component: {},
+      };
+      nodes.forEach((node, i) => {
+        columns.net_degree[node] = neighbors[i].length;
+        if (weighted) columns.net_weighted_degree[node] = round(strength[i]);
+        columns.net_betweenness[node] = round(betweenness[i]);
+        columns.net_closeness[node] = round(closeness[i]);
+        columns.net_clustering[node] = round(clusteringCoefficient[i]);
+        columns.net_component[node] = component.labels[i];
+      });
+
+      self.postMessage({
+        type: 'METRICS_COMPUTED',
+        columns,
+        componentCount: component.count,
+        sampled: sources.length < nodes.length ? sources.length : null,
+      });
+    } catch (error) {
+      self.postMessage({
+        type: 'METRICS_ERROR',
+        error: error.message
+      });
+    }
+  }
+};
@@ -0,0 +1,198 @@
+// Graph construction shared by dataWorker.js and the main-thread fallback in App.jsx.
+// The result is a plain, structured-clone friendly payload: a serialized graphology graph
+// plus the deduplicated edge list as typed arrays, ready to hand to SigmaNetwork.
+
+import Graph from 'graphology';
+import { categoricalColors, presetColors } from './categoricalPalettes.js';
+import { inferColumnType, isMissingValue, parseBoolean } from './columnTypes.js';
+
+export const LOADING_STATES = [
+  'Loading node data...',
+  'Loading edge data...',
+  'Creating network...',
+  'Coloring network...'
+];
+
+const MISSING_COLOR = '#d3d3d3';
+const CHUNK_SIZE = 20000;
+
+export class LoadCancelledError extends Error {
+  constructor() {
+    super('Loading cancelled');
+    this.name = 'LoadCancelledError';
+  }
+}
+
+// Let pending messages (e.g. a cancel request) run between chunks of work
+const yieldToEvents = () => new Promise(res => setTimeout(res, 0));
+
+// Palette for the PTU label overlay: the Auto colors of the new_PTU column, so labels match its legend
+export const computePtuPalette = (values) => {
+  const ptuSet = new Set();
+  values.forEach(v => ptuSet.add(v != null && v !== '' ? v : ''));
+  const ptus = Array.from(ptuSet).filter(ptu => ptu !== '')
+    .sort((a, b) => String(a).localeCompare(String(b), undefined, { numeric: true }));
+  const { colors } = presetColors(ptus, { seed: 'new_PTU' });
+  const ptuPal = { ...colors };
+  if (ptuSet.has('')) ptuPal[''] = MISSING_COLOR;
+  return ptuPal;
+};
+
+/**
+ * Categorical legend: sorted categories (missing last) and a palette keyed by category value, from the
+ * column (seed) and its style ({ preset, colors overrides, assigned colors }, see categoricalPalettes.js).
+ * Also returns assigned, extended with the colors handed to categories not seen before.
+ */
+export const computeCategoricalPalette = (values, { seed = '', preset, colors: overrides = {}, assigned } = {}) => {
+  const commSet = new Set();
+  values.forEach(v => commSet.add(v ?? ''));
+  const allComms = Array.from(commSet);
+  const nonMissing = allComms.filter(c => c !== '')
+    .sort((a, b) => String(a).localeCompare(String(b), undefined, { numeric: true }));
+  const missing = allComms.includes('') ? [''] : [];
+  const communities = [...nonMissing, ...missing];
+  const keyed = presetColors(nonMissing, { preset, seed, assigned });
+  const palette = {};
+  communities.forEach(comm => {
+    palette[comm] = overrides[comm] ?? (comm === '' ? MISSING_COLOR : keyed.colors[comm]);
+  });
+  return { communities, palette, assigned: keyed.assigned };
+};
+
+/**
+ * Legend for a column colored as boolean: values spelled as true (true, yes) share the first color
+ * and false ones the second; anything else counts as missing. Same result shape as computeCategoricalPalette.
+ */
+export const computeBooleanPalette = (values, { seed = '', preset, colors: overrides = {} } = {}) => {
+  const commSet = new Set();
+  values.forEach(v => commSet.add(v ?? ''));
+  const rank = (v) => {
+    const b = isMissingValue(v) ? null : parseBoolean(v);
+    return b === true ? 0 : b === false ? 1 : 2;
+  };
+  const communities = Array.from(commSet)
+    .sort((a, b) => rank(a) - rank(b) || String(a).localeCompare(String(b)));
+  const [trueColor, falseColor] = categoricalColors(2, { preset, seed });
+  const palette = {};
+  communities.forEach(comm => {
+    palette[comm] = overrides[comm] ?? [trueColor, falseColor, MISSING_COLOR][rank(comm)];
+  });
+  return { communities, palette };
+};
+
+// Metadata columns offered in "Color by", in table order
+export const getMetadataColumns = (metadataRows) =>
+  metadataRows.length ? Object.keys(metadataRows[0]).filter(f => f !== 'id') : [];
+
+/**
+ * Build the network payload from node metadata rows and raw edge rows.
+ * Edges are deduplicated (A-B and B-A count once) and self-loops dropped.
+ * Options: colorBy (column to precompute a palette for), onProgress(fraction), isCancelled().
+ */
+export const buildNetwork = async (metadataRows, edgeRows, { colorBy, onProgress, isCancelled } = {}) => {
+  const checkCancelled = () => {
+    if (isCancelled?.()) throw new LoadCancelledError();
+  };
+
+  // 1. Deduplicate edges and index node ids
+  const indexOf = new Map();
+  const nodeIds = [];
+  const idx = (id) => {
+    let i = indexOf.get(id);
+    if (i === undefined) {
+      i = nodeIds.length;
+      indexOf.set(id, i);
+      nodeIds.push(id);
+    }
+    return i;
+  };
+  const seen = new Set();
+  const sources = [];
+  const targets = [];
+  const weights = [];
+  let hasWeights = false;
+  for (let start = 0; start < edgeRows.length; start += CHUNK_SIZE) {
+    const end = Math.min(start + CHUNK_SIZE, edgeRows.length);
+    for (let k = start; k < end; k++) {
+      const r = edgeRows[k];
+      if (r.source == null || r.target == null) continue;
+      const s = String(r.source), t = String(r.target);
+      if (s === t) continue;
+      const key = s < t ? `${s}\u0000${t}` : `${t}\u0000${s}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      sources.push(idx(s));
+      targets.push(idx(t));
+      // Edges without a usable weight are stored as NaN and come out with weight null
+      const w = r.weight == null || r.weight === '' ? NaN : Number(r.weight);
+      if (Number.isFinite(w)) hasWeights = true;
+      weights.push(Number.isFinite(w) ? w : NaN);
+    }
+    onProgress?.(0.5 * end / edgeRows.length);
+    await yieldToEvents();
+    checkCancelled();
+  }
+
+  // 2. Add nodes with metadata and positions
+  const metadataById = new Map();
+  metadataRows.forEach(r => { if (r.id != null) metadataById.set(String(r.id), r); });
+  const graph = new Graph();
+  for (let start = 0; start < nodeIds.length; start += CHUNK_SIZE) {
+    const end = Math.min(start + CHUNK_SIZE, nodeIds.length);
+    for (let k = start; k < end; k++) {
+      const id = nodeIds[k];
+      const attrs = metadataById.get(id) ?? {};
+      let x = parseFloat(attrs.x), y = parseFloat(attrs.y);
+      if (isNaN(x)) x = Math.random() * 10;
+      if (isNaN(y)) y = Math.random() * 10;
+      graph.addNode(id, { ...attrs, x, y, size: 0.7, label: id });
+    }
+    onProgress?.(0.5 + 0.4 * end / Math.max(nodeIds.length, 1));
+    await yieldToEvents();
+    checkCancelled();
+  }
+
+  // 3. Precompute palettes for the PTU overlay and the initial categorical colorBy
+  const palettes = {};
+  const columns = getMetadataColumns(metadataRows);
+  const initialColorBy = colorBy && columns.includes(colorBy) ? colorBy : columns[0];
+  const ptuValues = [];
+  graph.forEachNode((n, attrs) => ptuValues.push(attrs.new_PTU));
+  const ptuPalette = computePtuPalette(ptuValues);
+  if (initialColorBy && initialColorBy !== 'new_PTU') {
+    const values = [];
+    graph.forEachNode((n, attrs) => values.push(attrs[initialColorBy]));
+    if (inferColumnType(values, initialColorBy) === 'categorical') palettes[initialColorBy] = computeCategoricalPalette(values, { seed: initialColorBy });
+  }
+  onProgress?.(1);
+  checkCancelled();
+
+  return {
+    graph: graph.export(),
+    nodeIds,
+    sources: Uint32Array.from(sources),
+    targets: Uint32Array.from(targets),
+    weights: Float64Array.from(weights),
+    hasWeights,
+    ptuPalette,
+    palettes,
+  };
+};
+
+// Typed-array buffers to list as transferables when posting a payload from a worker
+export const networkTransferables = (network) =>
+  [network.sources.buffer, network.targets.buffer, network.weights.buffer];
+
+// Expand the typed-array edge list into the { source, target, attributes } objects SigmaNetwork draws
+export const networkEdgeList = (network) => {
+  const { nodeIds, sources, targets, weights } = network;
+  const edges = new Array(sources.length);
+  for (let i = 0; i < sources.length; i++) {
+    edges[i] = {
+      source: nodeIds[sources[i]],
+      target: nodeIds[targets[i]],
+      attributes: { weight: Number.isNaN(weights[i]) ? null : weights[i], color: 'rgb(227,227,227)', size: 1 },
+    };
+  }
+  return edges;
+};
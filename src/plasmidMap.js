@@ -0,0 +1,171 @@
+// Plasmid map data: parsing CGView JSON into features for PlasmidMap.jsx, finding the plasmids in the
+// node table that carry a given feature annotation, and matching features across maps for MapComparison.jsx
+
+// Compare mode shows at most this many maps side by side
+export const MAX_COMPARED_MAPS = 4;
+
+// Colors for feature categories the JSON's legend doesn't define
+const FALLBACK_COLORS = ['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac'];
+
+// Primitive key/value pairs from a feature's meta, qualifiers and tags, for tooltips
+const featureDetails = (feature) => {
+  const details = [];
+  [feature.meta, feature.qualifiers].forEach(source => {
+    if (!source || typeof source !== 'object') return;
+    Object.entries(source).forEach(([key, value]) => {
+      if (value != null && value !== '' && typeof value !== 'object') details.push([key, String(value)]);
+      else if (Array.isArray(value) && value.length) details.push([key, value.join(', ')]);
+    });
+  });
+  if (Array.isArray(feature.tags) && feature.tags.length) details.push(['tags', feature.tags.join(', ')]);
+  return details;
+};
+
+/**
+ * Turn a CGView.js JSON document ({ cgview: { sequence, features, legend } }) into
+ * { length, name, features: [{ start, stop, strand, category, name, family, color, details }], categories: [{ name, color, count }] }.
+ * A feature's category is its legend item (falling back to its type), which is what the map colors by.
+ */
+export const parseMapJson = (json) => {
+  const cgview = json?.cgview ?? json;
+  if (!cgview || !Array.isArray(cgview.features)) throw new Error('Not a CGView map JSON (no feature list)');
+
+  const legendColors = new Map((cgview.legend?.items ?? []).map(item => [item.name, item.swatchColor || item.color]));
+  const categories = new Map();
+  const features = [];
+  cgview.features.forEach(feature => {
+    const start = Number(feature.start);
+    const stop = Number(feature.stop ?? feature.end);
+    if (!Number.isFinite(start) || !Number.isFinite(stop)) return;
+    const category = String(feature.legend ?? feature.type ?? 'Feature');
+    if (!categories.has(category)) {
+      categories.set(category, {
+        name: category,
+        color: legendColors.get(category) ?? FALLBACK_COLORS[categories.size % FALLBACK_COLORS.length],
+        count: 0,
+      });
+    }
+    const entry = categories.get(category);
+    entry.count += 1;
+    features.push({
+      start,
+      stop,
+      strand: Number(feature.strand) === -1 ? -1 : 1,
+      category,
+      type: feature.type ?? category,
+      name: feature.name ?? '',
+      family: feature.meta?.family ?? feature.meta?.gene_family ?? feature.qualifiers?.gene ?? null,
+      color: entry.color,
+      details: featureDetails(feature),
+    });
+  });
+
+  const sequence = cgview.sequence ?? {};
+  const contigLength = (sequence.contigs ?? []).reduce((sum, contig) => sum + (contig.length ?? contig.seq?.length ?? 0), 0);
+  const length = sequence.length ?? sequence.seq?.length ?? (contigLength || features.reduce((max, f) => Math.max(max, f.start, f.stop), 0));
+  if (!length) throw new Error('The map JSON has no sequence length or features');
+
+  return {
+    length,
+    name: cgview.name ?? sequence.name ?? '',
+    features,
+    categories: [...categories.values()].sort((a, b) => b.count - a.count),
+  };
+};
+
+// Stretches a feature covers in a linear layout: two when it wraps around the origin
+export const featureSegments = (feature, length) => (feature.stop >= feature.start
+  ? [[feature.start, feature.stop]]
+  : [[feature.start, length], [0, feature.stop]]);
+
+// Tick spacing of 1, 2 or 5 × 10^k giving roughly the requested number of ticks
+export const tickStep = (length, count = 8) => {
+  const raw = length / count;
+  const power = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 5, 10].find(m => m * power >= raw) * power;
+  return Math.max(1, step);
+};
+
+export const formatPosition = (bp) => (bp >= 1000 ? `${Number((bp / 1000).toFixed(1))} kb` : `${bp} bp`);
+
+// Annotation names and column names compare case-insensitively, with _ and - treated as spaces
+const normalize = (text) => String(text).trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+const ABSENT_VALUES = new Set(['', '0', 'false', 'no', 'none', 'na', 'n/a', 'nan', 'null']);
+
+/**
+ * Index the node table for annotation lookups: every text value split on , ; | and /, and for every
+ * column the nodes with a value in it (so a feature category like "Defense system" can match a
+ * "defense_systems" column).
+ */
+export const buildAnnotationIndex = (rows) => {
+  const tokens = new Map();
+  const present = new Map();
+  rows.forEach(row => {
+    const id = String(row.id);
+    Object.entries(row).forEach(([column, value]) => {
+      if (column === 'id' || value == null) return;
+      const text = String(value).trim();
+      if (ABSENT_VALUES.has(text.toLowerCase())) return;
+      const key = normalize(column);
+      if (!present.has(key)) present.set(key, new Set());
+      present.get(key).add(id);
+      if (typeof value !== 'string' || Number.isFinite(Number(text))) return;
+      text.split(/[,;|/]+/).forEach(part => {
+        const token = normalize(part);
+        if (!token) return;
+        if (!tokens.has(token)) tokens.set(token, new Set());
+        tokens.get(token).add(id);
+      });
+    });
+  });
+  return { tokens, present };
+};
+
+// Nodes carrying an annotation: a feature name, or a category that also matches column names
+export const plasmidsWithAnnotation = (index, { name, category }) => {
+  const matches = new Set();
+  const add = (set) => set?.forEach(id => matches.add(id));
+  if (name) add(index.tokens.get(normalize(name)));
+  if (category) {
+    const key = normalize(category);
+    add(index.tokens.get(key));
+    index.present.forEach((ids, column) => {
+      if (column === key || column === `${key}s` || `${column}s` === key) add(ids);
+    });
+  }
+  return matches;
+};
+
+const UNINFORMATIVE_NAME = /^(hypothetical|unknown|uncharacteri[sz]ed|putative protein|protein of unknown)/i;
+
+// What a comparison joins features on: their gene family, else their name (null for unnamed or hypothetical proteins)
+export const featureKey = (feature) => {
+  const key = feature.family || feature.name;
+  return key && !UNINFORMATIVE_NAME.test(key) ? normalize(key) : null;
+};
+
+/**
+ * Pairs of features with the same key in two maps: [{ key, a, b }]. Keys that occur more than
+ * maxPerKey times in either map (transposases, repeats) only link their first occurrences.
+ */
+export const sharedFeatureLinks = (mapA, mapB, maxPerKey = 3) => {
+  const byKey = new Map();
+  mapB.features.forEach(feature => {
+    const key = featureKey(feature);
+    if (!key) return;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(feature);
+  });
+  const links = [];
+  const seen = new Map();
+  mapA.features.forEach(feature => {
+    const key = featureKey(feature);
+    const partners = key && byKey.get(key);
+    if (!partners) return;
+    const count = seen.get(key) ?? 0;
+    if (count >= maxPerKey) return;
+    seen.set(key, count + 1);
+    partners.slice(0, maxPerKey).forEach(partner => links.push({ key, a: feature, b: partner }));
+  });
+  return links;
+};
@@ -0,0 +1,240 @@
+// Metadata query language for the search box, e.g.
+//   size > 50000 AND new_PTU = "PTU-E1" AND host ~ "Klebsiella"
+// Comparisons: = != > >= < <= ~ (contains, case-insensitive) !~ (does not contain).
+// Combine with AND, OR, NOT and parentheses. Column names with spaces go in backticks.
+
+export const QUERY_OPERATORS = ['=', '!=', '>', '>=', '<', '<=', '~', '!~'];
+const KEYWORDS = ['AND', 'OR', 'NOT'];
+
+export class QueryError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'QueryError';
+    this.position = position;
+  }
+}
+
+// Anything with a comparison operator or a keyword is treated as a query rather than a node ID
+export const looksLikeQuery = (text) => /[=<>~]/.test(text) || /\s(AND|OR)\s|^NOT\s/i.test(text);
+
+const isWordChar = c => !/[\s()=<>!~"'`]/.test(c);
+
+/**
+ * Split query text into tokens { type, value, start, end }.
+ * With lenient, an unterminated string becomes a 'partial' token instead of an error.
+ */
+const tokenize = (text, { lenient = false } = {}) => {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const c = text[i];
+    if (/\s/.test(c)) {
+      i += 1;
+      continue;
+    }
+    const start = i;
+    if (c === '(' || c === ')') {
+      tokens.push({ type: c, value: c, start, end: i + 1 });
+      i += 1;
+    } else if ('=<>!~'.includes(c)) {
+      const two = text.slice(i, i + 2);
+      const op = ['>=', '<=', '!=', '!~', '=='].includes(two) ? two : c;
+      if (op === '!') throw new QueryError(`Unexpected "!" (use != or !~)`, start);
+      tokens.push({ type: 'op', value: op === '==' ? '=' : op, start, end: i + op.length });
+      i += op.length;
+    } else if (c === '"' || c === "'" || c === '`') {
+      let value = '';
+      i += 1;
+      while (i < text.length && text[i] !== c) {
+        if (text[i] === '\\' && i + 1 < text.length) i += 1;
+        value += text[i];
+        i += 1;
+      }
+      if (i >= text.length) {
+        if (lenient) {
+          tokens.push({ type: 'partial', quote: c, value, start, end: i });
+          break;
+        }
+        throw new QueryError(`Missing closing ${c}`, start);
+      }
+      i += 1;
+      tokens.push({ type: c === '`' ? 'column' : 'string', value, start, end: i });
+    } else {
+      while (i < text.length && isWordChar(text[i])) i += 1;
+      const value = text.slice(start, i);
+      const keyword = value.toUpperCase();
+      tokens.push(KEYWORDS.includes(keyword)
+        ? { type: 'keyword', value: keyword, start, end: i }
+        : { type: 'word', value, start, end: i });
+    }
+  }
+  return tokens;
+};
+
+/**
+ * Parse a query into an AST. columns (optional) is the list of known column names;
+ * unknown columns are reported as errors.
+ */
+export const parseQuery = (text, columns = null) => {
+  const tokens = tokenize(text);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const describe = token => (token ? `"${token.value}"` : 'end of query');
+  const endPosition = () => text.length;
+
+  const parseOr = () => {
+    let node = parseAnd();
+    while (peek()?.type === 'keyword' && peek().value === 'OR') {
+      pos += 1;
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  };
+  const parseAnd = () => {
+    let node = parseNot();
+    while (peek()?.type === 'keyword' && peek().value === 'AND') {
+      pos += 1;
+      node = { type: 'and', left: node, right: parseNot() };
+    }
+    return node;
+  };
+  const parseNot = () => {
+    if (peek()?.type === 'keyword' && peek().value === 'NOT') {
+      pos += 1;
+      return { type: 'not', operand: parseNot() };
+    }
+    return parsePrimary();
+  };
+  const parsePrimary = () => {
+    const token = peek();
+    if (token?.type === '(') {
+      pos += 1;
+      const node = parseOr();
+      if (peek()?.type !== ')') throw new QueryError(`Expected ")" but found ${describe(peek())}`, peek()?.start ?? endPosition());
+      pos += 1;
+      return node;
+    }
+    if (token?.type !== 'word' && token?.type !== 'column') {
+      throw new QueryError(`Expected a column name but found ${describe(token)}`, token?.start ?? endPosition());
+    }
+    if (columns && !columns.includes(token.value)) {
+      throw new QueryError(`Unknown column "${token.value}"`, token.start);
+    }
+    pos += 1;
+    const op = peek();
+    if (op?.type !== 'op') {
+      throw new QueryError(`Expected an operator (${QUERY_OPERATORS.join(' ')}) after "${token.value}"`, op?.start ?? endPosition());
+    }
+    pos += 1;
+    const value = peek();
+    if (value?.type !== 'word' && value?.type !== 'string') {
+      throw new QueryError(`Expected a value after "${op.value}" but found ${describe(value)}`, value?.start ?? endPosition());
+    }
+    pos += 1;
+    const numeric = value.type === 'word' && value.value !== '' && !isNaN(Number(value.value));
+    return { type: 'compare', column: token.value, op: op.value, value: value.value, numeric };
+  };
+
+  if (!tokens.length) throw new QueryError('Empty query', 0);
+  const ast = parseOr();
+  if (pos < tokens.length) {
+    throw new QueryError(`Unexpected ${describe(peek())} (use AND or OR to combine conditions)`, peek().start);
+  }
+  return ast;
+};
+
+const compare = (op, actual, node) => {
+  if (actual == null || actual === '') return op === '!=' || op === '!~';
+  if (op === '~' || op === '!~') {
+    const contains = String(actual).toLowerCase().includes(node.value.toLowerCase());
+    return op === '~' ? contains : !contains;
+  }
+  const actualNumber = Number(actual);
+  let diff;
+  if (node.numeric && !isNaN(actualNumber)) {
+    diff = actualNumber - Number(node.value);
+  } else {
+    const a = String(actual);
+    diff = a === node.value ? 0 : a.localeCompare(node.value);
+  }
+  switch (op) {
+    case '=': return diff === 0;
+    case '!=': return diff !== 0;
+    case '>': return diff > 0;
+    case '>=': return diff >= 0;
+    case '<': return diff < 0;
+    case '<=': return diff <= 0;
+    default: return false;
+  }
+};
+
+// Turn an AST into a predicate over metadata rows
+export const compileQuery = (ast) => {
+  switch (ast.type) {
+    case 'and': {
+      const left = compileQuery(ast.left), right = compileQuery(ast.right);
+      return row => left(row) && right(row);
+    }
+    case 'or': {
+      const left = compileQuery(ast.left), right = compileQuery(ast.right);
+      return row => left(row) || right(row);
+    }
+    case 'not': {
+      const operand = compileQuery(ast.operand);
+      return row => !operand(row);
+    }
+    default:
+      return row => compare(ast.op, row[ast.column], ast);
+  }
+};
+
+const quoteColumn = name => (/^[^\s()=<>!~"'`]+$/.test(name) && !KEYWORDS.includes(name.toUpperCase()) ? name : `\`${name}\``);
+const quoteValue = value => `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+
+/**
+ * Autocomplete for the text before the cursor.
+ * values maps column -> known categorical values. Returns { from, to, kind, items: [{ label, insert }] },
+ * where [from, to) is the text the chosen item replaces and kind is what the items are
+ * ('column', 'operator', 'value' or 'connector').
+ */
+export const getCompletions = (text, cursor, { columns, values = {} }) => {
+  const empty = { from: cursor, to: cursor, kind: null, items: [] };
+  let tokens;
+  try {
+    tokens = tokenize(text.slice(0, cursor), { lenient: true });
+  } catch {
+    return empty;
+  }
+  // The token touching the cursor is still being typed
+  const last = tokens[tokens.length - 1];
+  const partial = last && last.end === cursor && ['word', 'partial', 'column', 'keyword'].includes(last.type) ? last : null;
+  const complete = partial ? tokens.slice(0, -1) : tokens;
+
+  let expect = 'column';
+  let column = null;
+  complete.forEach(token => {
+    if (token.type === '(' || token.type === 'keyword') expect = 'column';
+    else if (token.type === ')') expect = 'connector';
+    else if (expect === 'column' && (token.type === 'word' || token.type === 'column')) {
+      column = token.value;
+      expect = 'operator';
+    } else if (expect === 'operator' && token.type === 'op') expect = 'value';
+    else if (expect === 'value') expect = 'connector';
+  });
+
+  const typed = (partial?.value ?? '').toLowerCase();
+  const from = partial ? partial.start : cursor;
+  const matches = list => list.filter(v => String(v).toLowerCase().includes(typed)).slice(0, 10);
+  let items = [];
+  if (expect === 'column') {
+    items = matches(columns).map(c => ({ label: c, insert: quoteColumn(c) }));
+    if (!partial) items.unshift({ label: 'NOT', insert: 'NOT' });
+  } else if (expect === 'operator') {
+    items = partial ? [] : QUERY_OPERATORS.map(op => ({ label: op, insert: op }));
+  } else if (expect === 'value') {
+    items = matches(values[column] ?? []).map(v => ({ label: String(v), insert: quoteValue(v) }));
+  } else if (expect === 'connector') {
+    items = ['AND', 'OR'].filter(k => k.toLowerCase().startsWith(typed)).map(k => ({ label: k, insert: k }));
+  }
+  return { from, to: cursor, kind: expect, items };
+};
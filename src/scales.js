@@ -0,0 +1,30 @@
+// d3 scale helpers shared by the numeric legend, edge styling and node sizing
+import { scaleLinear, scaleLog, scaleSqrt, scalePow } from 'd3-scale';
+
+export const SCALE_TYPES = [
+  { value: 'linear', label: 'Linear' },
+  { value: 'log', label: 'Log' },
+  { value: 'sqrt', label: 'Sqrt' },
+  { value: 'pow', label: 'Power (2)' },
+];
+
+// Map [min, max] onto [0, 1] with the chosen scale type, clamping out-of-domain values
+export const createUnitScale = (scaleType, [minVal, maxVal]) => {
+  if (!(maxVal > minVal)) return () => 0.5;
+  let scale;
+  if (scaleType === 'log') {
+    // Avoid log(0) by setting min to a small positive value if needed
+    const safeMin = minVal > 0 ? minVal : 1e-6;
+    scale = scaleLog().domain([safeMin, Math.max(maxVal, safeMin * 10)]).range([0, 1]);
+  } else if (scaleType === 'sqrt') {
+    scale = scaleSqrt().domain([minVal, maxVal]).range([0, 1]);
+  } else if (scaleType === 'pow') {
+    scale = scalePow().exponent(2).domain([minVal, maxVal]).range([0, 1]);
+  } else {
+    scale = scaleLinear().domain([minVal, maxVal]).range([0, 1]);
+  }
+  return v => {
+    const scaled = scale(scaleType === 'log' ? Math.max(v, 1e-6) : v);
+    return isNaN(scaled) ? 0 : Math.max(0, Math.min(1, scaled));
+  };
+};
@@ -0,0 +1,131 @@
+// Web Worker for fuzzy full-text search over node metadata
+// Holds an index of every text column so ranking large tables doesn't block typing
+
+// Distinct (field, value) pairs with the nodes that carry them
+let index = [];
+
+const MAX_TYPO_WORDS = 50;
+
+// Columns with at least one non-numeric value; the node id is always searchable
+const textColumns = (rows) => {
+  const columns = new Set();
+  rows.forEach(row => Object.keys(row).forEach(key => columns.add(key)));
+  return [...columns].filter(column => column === 'id' || rows.some(row => {
+    const v = row[column];
+    return v != null && v !== '' && isNaN(Number(v));
+  }));
+};
+
+const buildIndex = (rows) => {
+  const columns = textColumns(rows);
+  const entries = new Map();
+  rows.forEach(row => {
+    const node = String(row.id);
+    columns.forEach(field => {
+      const v = row[field];
+      if (v == null || v === '') return;
+      const value = String(v);
+      const key = `${field}\u0000${value}`;
+      let entry = entries.get(key);
+      if (!entry) {
+        entry = { field, value, lower: value.toLowerCase(), words: null, nodes: [] };
+        entries.set(key, entry);
+      }
+      entry.nodes.push(node);
+    });
+  });
+  return [...entries.values()];
+};
+
+// Levenshtein distance, giving up (returning max + 1) once it exceeds max
+const boundedDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, cur[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+};
+
+const isBoundary = (text, i) => i === 0 || !/[a-z0-9]/.test(text[i - 1]);
+
+// Score one search term against one value: exact > prefix > word start > substring > typo > in-order letters
+const scoreTerm = (entry, term) => {
+  const { lower } = entry;
+  const at = lower.indexOf(term);
+  if (at === 0) return lower.length === term.length ? 100 : 90;
+  if (at > 0) return isBoundary(lower, at) ? 80 : 70;
+  if (term.length >= 4) {
+    entry.words ??= lower.split(/[^a-z0-9]+/).filter(Boolean).slice(0, MAX_TYPO_WORDS);
+    const max = term.length >= 8 ? 2 : 1;
+    let best = max + 1;
+    for (const word of entry.words) {
+      best = Math.min(best, boundedDistance(term, word.slice(0, term.length + max), max));
+      if (best === 0) break;
+    }
+    if (best <= max) return 60 - 10 * best;
+  }
+  if (term.length >= 3) {
+    // Letters of the term in order, without spreading over much more than twice its length
+    let pos = lower.indexOf(term[0]);
+    const start = pos;
+    for (let i = 1; i < term.length && pos >= 0; i++) pos = lower.indexOf(term[i], pos + 1);
+    if (pos >= 0 && pos - start < term.length * 2) return 40;
+  }
+  return 0;
+};
+
+// A value matches a multi-word query when every word matches; it scores as its weakest word
+const scoreEntry = (entry, query, terms) => {
+  if (terms.length > 1 && entry.lower.includes(query)) return scoreTerm(entry, query);
+  let score = Infinity;
+  for (const term of terms) {
+    score = Math.min(score, scoreTerm(entry, term));
+    if (score === 0) return 0;
+  }
+  return terms.length > 1 ? score - 5 : score;
+};
+
+/**
+ * Best match per node, ranked by score, then shorter values, then node id.
+ * Each result says which field matched: { node, field, value, score }.
+ */
+const search = (text) => {
+  const query = text.trim().toLowerCase();
+  const terms = query.split(/\s+/).filter(Boolean);
+  if (!terms.length) return [];
+  const best = new Map();
+  index.forEach(entry => {
+    const score = scoreEntry(entry, query, terms);
+    if (score <= 0) return;
+    entry.nodes.forEach(node => {
+      const current = best.get(node);
+      if (!current || score > current.score || (score === current.score && entry.value.length < current.value.length)) {
+        best.set(node, { node, field: entry.field, value: entry.value, score });
+      }
+    });
+  });
+  return [...best.values()].sort((a, b) =>
+    b.score - a.score || a.value.length - b.value.length || a.node.localeCompare(b.node));
+};
+
+self.onmessage = function(event) {
+  const { type, requestId, rows, query } = event.data;
+  try {
+    if (type === 'BUILD_INDEX') {
+      index = buildIndex(rows);
+      self.postMessage({ type: 'INDEX_READY', size: index.length });
+    } else if (type === 'SEARCH') {
+      self.postMessage({ type: 'SEARCH_RESULTS', requestId, query, results: search(query) });
+    }
+  } catch (error) {
+    self.postMessage({ type: 'SEARCH_ERROR', requestId, error: error.message });
+  }
+};
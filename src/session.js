@@ -0,0 +1,81 @@
+// Analysis sessions saved as versioned JSON files (Save Session / Load Session)
+
+const SESSION_FORMAT = 'plasmid-network-session';
+const SESSION_VERSION = 1;
+
+/**
+ * Build a session object.
+ * view is the same shape as the URL hash view (see viewState.js); settings holds App-only state
+ * such as filters and edge style; computedColumns maps column -> { nodeId: value }.
+ */
+export const createSession = ({ dataset, view, settings, computedColumns }) => ({
+  format: SESSION_FORMAT,
+  version: SESSION_VERSION,
+  savedAt: new Date().toISOString(),
+  dataset,
+  view,
+  settings,
+  computedColumns,
+});
+
+// Parse session file text; throws with a readable message when the file is not a usable session
+export const parseSession = (text) => {
+  let session;
+  try {
+    session = JSON.parse(text);
+  } catch {
+    throw new Error('Session file is not valid JSON');
+  }
+  if (!session || session.format !== SESSION_FORMAT) {
+    throw new Error('Not a plasmid network session file');
+  }
+  if (session.version > SESSION_VERSION) {
+    throw new Error(`Session version ${session.version} is newer than this viewer supports (${SESSION_VERSION})`);
+  }
+  return {
+    dataset: session.dataset ?? {},
+    view: session.view ?? {},
+    settings: session.settings ?? {},
+    computedColumns: session.computedColumns ?? {},
+  };
+};
+
+const describeMissing = (missing, noun) => {
+  const sample = missing.slice(0, 3).join(', ');
+  return `${missing.length} ${noun}${missing.length === 1 ? '' : 's'} not found in this dataset (${sample}${missing.length > 3 ? ', ...' : ''})`;
+};
+
+/**
+ * Compare a session with the loaded dataset and list what won't restore.
+ * dataset is { name, nodeIds, edgeCount, columns } for the current network.
+ */
+export const checkSessionDataset = (session, dataset) => {
+  const warnings = [];
+  const saved = session.dataset;
+  if (saved.name && saved.name !== dataset.name) {
+    warnings.push(`Session was saved on "${saved.name}", but "${dataset.name}" is loaded.`);
+  }
+  if (saved.nodeCount != null && saved.nodeCount !== dataset.nodeIds.length) {
+    warnings.push(`Session dataset had ${saved.nodeCount} nodes; this one has ${dataset.nodeIds.length}.`);
+  }
+  if (saved.edgeCount != null && saved.edgeCount !== dataset.edgeCount) {
+    warnings.push(`Session dataset had ${saved.edgeCount} edges; this one has ${dataset.edgeCount}.`);
+  }
+
+  const columns = new Set([...dataset.columns, ...Object.keys(session.computedColumns)]);
+  const missingColumns = (saved.columns ?? []).filter(c => !columns.has(c));
+  if (session.view.colorBy && !columns.has(session.view.colorBy) && !missingColumns.includes(session.view.colorBy)) {
+    missingColumns.push(session.view.colorBy);
+  }
+  if (missingColumns.length) warnings.push(describeMissing(missingColumns, 'column') + '.');
+
+  const nodeIds = new Set(dataset.nodeIds);
+  const sessionNodes = new Set();
+  if (session.view.highlightedNode) sessionNodes.add(session.view.highlightedNode);
+  (session.view.selectedNodes ?? []).forEach(id => sessionNodes.add(id));
+  Object.values(session.computedColumns).forEach(values => Object.keys(values).forEach(id => sessionNodes.add(id)));
+  const missingNodes = [...sessionNodes].filter(id => !nodeIds.has(id));
+  if (missingNodes.length) warnings.push(describeMissing(missingNodes, 'node ID') + '.');
+
+  return warnings;
+};
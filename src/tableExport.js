@@ -0,0 +1,61 @@
+// Node/edge table export (CSV, TSV or Parquet) for downstream R/Python pipelines
+import Papa from 'papaparse';
+import { parquetWriteBuffer } from 'hyparquet-writer';
+import { downloadFile } from './download.js';
+
+export const TABLE_FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'tsv', label: 'TSV' },
+  { value: 'parquet', label: 'Parquet' },
+];
+
+const INT32_MAX = 2 ** 31 - 1;
+
+// Union of keys over all rows, in first-seen order (after the columns every table of this kind has)
+const collectColumns = (rows, baseColumns) => {
+  const columns = new Set(baseColumns);
+  rows.forEach(row => Object.keys(row).forEach(key => columns.add(key)));
+  return [...columns];
+};
+
+const toDelimited = (rows, columns, delimiter) =>
+  Papa.unparse(rows, { delimiter, columns, newline: '\n' });
+
+// Parquet needs one type per column: mixed or non-scalar columns are written as strings
+const parquetColumn = (name, values) => {
+  const present = values.filter(v => v != null && v !== '');
+  let type = 'STRING';
+  if (present.length && present.every(v => typeof v === 'boolean')) type = 'BOOLEAN';
+  else if (present.length && present.every(v => typeof v === 'bigint')) type = 'INT64';
+  else if (present.length && present.every(v => typeof v === 'number')) {
+    type = present.every(v => Number.isInteger(v) && Math.abs(v) <= INT32_MAX) ? 'INT32' : 'DOUBLE';
+  }
+  const data = values.map(v => {
+    if (v == null || (v === '' && type !== 'STRING')) return null;
+    return type === 'STRING' ? String(v) : v;
+  });
+  return { name, type, data, nullable: true };
+};
+
+const toParquet = (rows, columns) => {
+  const columnData = columns.map(name => parquetColumn(name, rows.map(row => row[name])));
+  return parquetWriteBuffer({ columnData });
+};
+
+/**
+ * Download a { nodes, edges } table pair as two files, <baseName>_nodes.<ext> and <baseName>_edges.<ext>.
+ */
+export const downloadTables = ({ nodes, edges }, format, baseName) => {
+  const tables = [['nodes', nodes, ['id']], ['edges', edges, ['source', 'target', 'weight']]];
+  tables.forEach(([kind, rows, baseColumns]) => {
+    const filename = `${baseName}_${kind}.${format}`;
+    const columns = collectColumns(rows, baseColumns);
+    if (format === 'parquet') {
+      downloadFile(toParquet(rows, columns), filename, 'application/vnd.apache.parquet');
+    } else if (format === 'tsv') {
+      downloadFile(toDelimited(rows, columns, '\t'), filename, 'text/tab-separated-values');
+    } else {
+      downloadFile(toDelimited(rows, columns, ','), filename, 'text/csv');
+    }
+  });
+};
@@ -0,0 +1,12 @@
+// Shared inline styles for the panels
+
+// Pill buttons used across panels
+export const buttonStyle = {
+  padding: '3px 12px',
+  background: '#fff',
+  color: '#000',
+  border: '1px solid #ccc',
+  borderRadius: 14,
+  cursor: 'pointer',
+  fontSize: '11px'
+};
@@ -0,0 +1,31 @@
+// Shareable view state stored in the URL hash (#view=<json>)
+
+const VIEW_STATE_VERSION = 1;
+const HASH_KEY = 'view';
+
+// Camera values are rounded so panning doesn't produce absurdly long links
+const round = v => Math.round(v * 1e6) / 1e6;
+
+export const roundCamera = ({ x, y, ratio, angle }) => ({
+  x: round(x),
+  y: round(y),
+  ratio: round(ratio),
+  angle: round(angle),
+});
+
+export const encodeViewState = (state) =>
+  `${HASH_KEY}=${encodeURIComponent(JSON.stringify({ v: VIEW_STATE_VERSION, ...state }))}`;
+
+// Returns the decoded state, or null when the hash holds no (or an unreadable) view
+export const decodeViewState = (hash) => {
+  const raw = new URLSearchParams(hash.replace(/^#/, '')).get(HASH_KEY);
+  if (!raw) return null;
+  try {
+    const state = JSON.parse(raw);
+    if (!state || state.v !== VIEW_STATE_VERSION) return null;
+    return state;
+  } catch (err) {
+    console.warn('[viewState] Ignoring unreadable view in URL hash:', err);
+    return null;
+  }
+};